@@ -0,0 +1,281 @@
+/**
+ * CSS Color Parser
+ * 解析 CSS 颜色语法：#RGB、#RGBA、#RRGGBB、#RRGGBBAA、rgb()/rgba()、hsl()/hsla()、
+ * CSS 命名颜色以及 transparent 关键字
+ */
+
+/**
+ * CSS 命名颜色 (CSS Color Module Level 4)
+ */
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff',
+  antiquewhite: 'faebd7',
+  aqua: '00ffff',
+  aquamarine: '7fffd4',
+  azure: 'f0ffff',
+  beige: 'f5f5dc',
+  bisque: 'ffe4c4',
+  black: '000000',
+  blanchedalmond: 'ffebcd',
+  blue: '0000ff',
+  blueviolet: '8a2be2',
+  brown: 'a52a2a',
+  burlywood: 'deb887',
+  cadetblue: '5f9ea0',
+  chartreuse: '7fff00',
+  chocolate: 'd2691e',
+  coral: 'ff7f50',
+  cornflowerblue: '6495ed',
+  cornsilk: 'fff8dc',
+  crimson: 'dc143c',
+  cyan: '00ffff',
+  darkblue: '00008b',
+  darkcyan: '008b8b',
+  darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9',
+  darkgreen: '006400',
+  darkgrey: 'a9a9a9',
+  darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b',
+  darkolivegreen: '556b2f',
+  darkorange: 'ff8c00',
+  darkorchid: '9932cc',
+  darkred: '8b0000',
+  darksalmon: 'e9967a',
+  darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b',
+  darkslategray: '2f4f4f',
+  darkslategrey: '2f4f4f',
+  darkturquoise: '00ced1',
+  darkviolet: '9400d3',
+  deeppink: 'ff1493',
+  deepskyblue: '00bfff',
+  dimgray: '696969',
+  dimgrey: '696969',
+  dodgerblue: '1e90ff',
+  firebrick: 'b22222',
+  floralwhite: 'fffaf0',
+  forestgreen: '228b22',
+  fuchsia: 'ff00ff',
+  gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff',
+  gold: 'ffd700',
+  goldenrod: 'daa520',
+  gray: '808080',
+  green: '008000',
+  greenyellow: 'adff2f',
+  grey: '808080',
+  honeydew: 'f0fff0',
+  hotpink: 'ff69b4',
+  indianred: 'cd5c5c',
+  indigo: '4b0082',
+  ivory: 'fffff0',
+  khaki: 'f0e68c',
+  lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00',
+  lemonchiffon: 'fffacd',
+  lightblue: 'add8e6',
+  lightcoral: 'f08080',
+  lightcyan: 'e0ffff',
+  lightgoldenrodyellow: 'fafad2',
+  lightgray: 'd3d3d3',
+  lightgreen: '90ee90',
+  lightgrey: 'd3d3d3',
+  lightpink: 'ffb6c1',
+  lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa',
+  lightskyblue: '87cefa',
+  lightslategray: '778899',
+  lightslategrey: '778899',
+  lightsteelblue: 'b0c4de',
+  lightyellow: 'ffffe0',
+  lime: '00ff00',
+  limegreen: '32cd32',
+  linen: 'faf0e6',
+  magenta: 'ff00ff',
+  maroon: '800000',
+  mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd',
+  mediumorchid: 'ba55d3',
+  mediumpurple: '9370db',
+  mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee',
+  mediumspringgreen: '00fa9a',
+  mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585',
+  midnightblue: '191970',
+  mintcream: 'f5fffa',
+  mistyrose: 'ffe4e1',
+  moccasin: 'ffe4b5',
+  navajowhite: 'ffdead',
+  navy: '000080',
+  oldlace: 'fdf5e6',
+  olive: '808000',
+  olivedrab: '6b8e23',
+  orange: 'ffa500',
+  orangered: 'ff4500',
+  orchid: 'da70d6',
+  palegoldenrod: 'eee8aa',
+  palegreen: '98fb98',
+  paleturquoise: 'afeeee',
+  palevioletred: 'db7093',
+  papayawhip: 'ffefd5',
+  peachpuff: 'ffdab9',
+  peru: 'cd853f',
+  pink: 'ffc0cb',
+  plum: 'dda0dd',
+  powderblue: 'b0e0e6',
+  purple: '800080',
+  rebeccapurple: '663399',
+  red: 'ff0000',
+  rosybrown: 'bc8f8f',
+  royalblue: '4169e1',
+  saddlebrown: '8b4513',
+  salmon: 'fa8072',
+  sandybrown: 'f4a460',
+  seagreen: '2e8b57',
+  seashell: 'fff5ee',
+  sienna: 'a0522d',
+  silver: 'c0c0c0',
+  skyblue: '87ceeb',
+  slateblue: '6a5acd',
+  slategray: '708090',
+  slategrey: '708090',
+  snow: 'fffafa',
+  springgreen: '00ff7f',
+  steelblue: '4682b4',
+  tan: 'd2b48c',
+  teal: '008080',
+  thistle: 'd8bfd8',
+  tomato: 'ff6347',
+  turquoise: '40e0d0',
+  violet: 'ee82ee',
+  wheat: 'f5deb3',
+  white: 'ffffff',
+  whitesmoke: 'f5f5f5',
+  yellow: 'ffff00',
+  yellowgreen: '9acd32'
+};
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * 解析数字或百分比，percentScale 为 100% 对应的值
+ */
+function parseNumber(token, percentScale) {
+  if (token.endsWith('%')) {
+    const value = token.slice(0, -1);
+    return NUMBER_PATTERN.test(value) ? (parseFloat(value) / 100) * percentScale : null;
+  }
+  return NUMBER_PATTERN.test(token) ? parseFloat(token) : null;
+}
+
+/**
+ * 解析色相，支持 deg / rad / grad / turn 单位，返回 0~360 的角度
+ */
+function parseHue(token) {
+  const match = /^(.*?)(deg|rad|grad|turn)?$/.exec(token);
+  if (!NUMBER_PATTERN.test(match[1])) return null;
+  const value = parseFloat(match[1]);
+  const degrees = {
+    deg: value,
+    rad: value * 180 / Math.PI,
+    grad: value * 0.9,
+    turn: value * 360
+  }[match[2] || 'deg'];
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * 解析 alpha，支持 0~1 的数字和百分比，缺省为 1
+ */
+function parseAlpha(token) {
+  if (token === undefined) return 1;
+  const value = parseNumber(token, 1);
+  return value === null ? null : clamp(value, 0, 1);
+}
+
+/**
+ * 拆分函数式颜色参数，支持逗号语法 rgba(0, 0, 0, 0.45) 和空格语法 rgb(0 0 0 / 45%)
+ */
+function splitArguments(inner) {
+  if (inner.includes(',')) {
+    return inner.split(',').map(part => part.trim());
+  }
+  const [channels, alpha] = inner.split('/');
+  const parts = channels.trim().split(/\s+/);
+  if (alpha !== undefined) parts.push(alpha.trim());
+  return parts;
+}
+
+function parseHex(hex) {
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+  const full = hex.length <= 4 ? hex.split('').map(c => c + c).join('') : hex;
+  const channel = (index) => parseInt(full.substr(index * 2, 2), 16) / 255;
+  return {
+    red: channel(0),
+    green: channel(1),
+    blue: channel(2),
+    alpha: full.length === 8 ? channel(3) : 1
+  };
+}
+
+function parseRgb(args) {
+  if (args.length !== 3 && args.length !== 4) return null;
+  const channels = args.slice(0, 3).map(token => parseNumber(token, 255));
+  const alpha = parseAlpha(args[3]);
+  if (channels.includes(null) || alpha === null) return null;
+  const [red, green, blue] = channels.map(value => clamp(value, 0, 255) / 255);
+  return { red, green, blue, alpha };
+}
+
+function parseHsl(args) {
+  if (args.length !== 3 && args.length !== 4) return null;
+  const hue = parseHue(args[0]);
+  const saturation = parseNumber(args[1], 100);
+  const lightness = parseNumber(args[2], 100);
+  const alpha = parseAlpha(args[3]);
+  if (hue === null || saturation === null || lightness === null || alpha === null) return null;
+
+  const s = clamp(saturation, 0, 100) / 100;
+  const l = clamp(lightness, 0, 100) / 100;
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return { red: channel(0), green: channel(8), blue: channel(4), alpha };
+}
+
+/**
+ * 解析 CSS 颜色字符串
+ * @param {string} value - CSS 颜色
+ * @returns {Object|null} { red, green, blue, alpha }（0~1），无法解析时返回 null
+ */
+function parseCssColor(value) {
+  const color = String(value).trim().toLowerCase();
+
+  if (color === 'transparent') {
+    return { red: 0, green: 0, blue: 0, alpha: 0 };
+  }
+  if (NAMED_COLORS[color]) {
+    return parseHex(NAMED_COLORS[color]);
+  }
+  if (color.startsWith('#')) {
+    return parseHex(color.slice(1));
+  }
+
+  const match = /^(rgba?|hsla?)\((.*)\)$/.exec(color);
+  if (!match) return null;
+  const args = splitArguments(match[2]);
+  return match[1].startsWith('rgb') ? parseRgb(args) : parseHsl(args);
+}
+
+module.exports = {
+  parseCssColor,
+  NAMED_COLORS
+};
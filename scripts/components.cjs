@@ -0,0 +1,195 @@
+/**
+ * Components
+ * 模块间重复使用的组件（按钮、输入框、表格行）
+ * 上下文中存在组件库（context.symbols）时输出 symbolInstance，否则输出以组件命名的编组
+ * 样式取自样式库（context.styles），图层引用对应的共享样式
+ */
+
+const { createRectangle, createText, createGroup, applyPin } = require('./sketch-generator.cjs');
+
+/**
+ * 放置组件
+ * @param {Object} context - 模块上下文
+ * @param {Object} definition - { key, name, size, build, pin }，build(x, y) 返回组件图层，pin 为放置后的响应式约束
+ * @param {Object} frame - 组件位置
+ * @param {Object} overrides - 文本覆盖值，键为组件内文本图层名称
+ * @param {string} name - 图层名称
+ */
+function placeComponent(context, definition, frame, overrides, name) {
+  if (context.symbols) {
+    return applyPin([context.symbols.instance(
+      { ...definition, build: () => definition.build(0, 0) },
+      frame,
+      overrides,
+      name
+    )], definition.pin);
+  }
+  return [createGroup(name, definition.build(frame.x, frame.y), { pin: definition.pin })];
+}
+
+function named(layer, name) {
+  layer.name = name;
+  return layer;
+}
+
+function sizeLabel(width, height) {
+  return `${Math.round(width)}x${Math.round(height)}`;
+}
+
+/**
+ * 创建按钮
+ * @param {Object} context - 模块上下文
+ * @param {Object} frame - { x, y, width, height }
+ * @param {string} text - 按钮文字
+ * @param {Object} style - 按钮样式
+ * @param {string} style.variant - 组件变体名称，如 "Primary"
+ * @param {string} style.layerStyle - 背景的表面令牌，如 "primaryButton"
+ * @param {string} [style.textStyle="button"] - 文字的排版令牌
+ * @param {number} [style.cornerRadius] - 圆角
+ * @param {string} style.textColor - 文字颜色
+ * @param {number} [style.textHeight] - 固定文字框高度，不传时按文字估算高度；文字始终垂直居中
+ * @param {Object} [style.pin] - 响应式约束，默认固定宽高
+ * @param {string} [name] - 图层名称
+ */
+function createButton(context, frame, text, style, name) {
+  const { width, height } = frame;
+  const { styles } = context;
+
+  const definition = {
+    key: 'Button|' + JSON.stringify([width, height, style]),
+    name: `Button/${style.variant}/${sizeLabel(width, height)}`,
+    size: { width, height },
+    pin: style.pin || { width: true, height: true },
+    build: (x, y) => {
+      const label = named(createText(text, {
+        x,
+        y,
+        width,
+        height: style.textHeight
+      }, styles.text(style.textStyle || "button", {
+        color: style.textColor,
+        alignment: "center",
+        sizing: style.textHeight ? "fixed" : "autoHeight"
+      })), "Label");
+      label.frame.y = y + (height - label.frame.height) / 2;
+
+      return [
+        createRectangle(
+          { x, y, width, height },
+          styles.layer(style.layerStyle, { cornerRadius: style.cornerRadius }),
+          "Background"
+        ),
+        label
+      ];
+    }
+  };
+
+  return placeComponent(context, definition, frame, { Label: text }, name || text);
+}
+
+/**
+ * 创建输入框
+ * @param {Object} context - 模块上下文
+ * @param {Object} frame - { x, y, width, height }
+ * @param {string} text - 占位文字或输入值
+ * @param {Object} style - 输入框样式
+ * @param {string} style.variant - 组件变体名称，如 "Default"
+ * @param {string} [style.layerStyle="input"] - 背景的表面令牌
+ * @param {string} [style.textStyle="body"] - 文字的排版令牌
+ * @param {number} [style.cornerRadius] - 圆角
+ * @param {string} style.textColor - 文字颜色
+ * @param {number} [style.paddingX=15] - 文字左右内边距
+ * @param {number} [style.paddingTop=14] - 文字上内边距
+ * @param {string} [name] - 图层名称
+ */
+function createInput(context, frame, text, style, name) {
+  const { width, height } = frame;
+  const { styles } = context;
+  const paddingX = style.paddingX !== undefined ? style.paddingX : 15;
+  const paddingTop = style.paddingTop !== undefined ? style.paddingTop : 14;
+
+  const definition = {
+    key: 'Input|' + JSON.stringify([width, height, style]),
+    name: `Input/${style.variant}/${sizeLabel(width, height)}`,
+    size: { width, height },
+    build: (x, y) => [
+      createRectangle(
+        { x, y, width, height },
+        styles.layer(style.layerStyle || "input", { cornerRadius: style.cornerRadius }),
+        "Background"
+      ),
+      named(createText(text, {
+        x: x + paddingX,
+        y: y + paddingTop,
+        width: width - paddingX * 2,
+        height: 18
+      }, styles.text(style.textStyle || "body", { color: style.textColor })), "Value")
+    ]
+  };
+
+  return placeComponent(context, definition, frame, { Value: text }, name || "Input");
+}
+
+/**
+ * 创建表格行
+ * @param {Object} context - 模块上下文
+ * @param {Object} frame - { x, y, width, height }
+ * @param {Array} cells - 单元格文字
+ * @param {Object} style - 行样式
+ * @param {string} style.variant - 组件变体名称，如 "Odd"
+ * @param {string} style.layerStyle - 行背景的表面令牌
+ * @param {Array<number>} style.columnWidths - 每个单元格的宽度
+ * @param {string} style.textColor - 文字颜色
+ * @param {boolean} [style.checkbox] - 是否在行首绘制复选框
+ * @param {string} [name] - 图层名称
+ */
+function createTableRow(context, frame, cells, style, name) {
+  const { width, height } = frame;
+  const { styles } = context;
+
+  const definition = {
+    key: 'TableRow|' + JSON.stringify([width, height, style]),
+    name: `Table Row/${style.variant}/${style.columnWidths.length} Columns`,
+    size: { width, height },
+    build: (x, y) => {
+      const layers = [
+        createRectangle({ x, y, width, height }, styles.layer(style.layerStyle), "Background")
+      ];
+
+      let cellX = x + 4;
+      if (style.checkbox) {
+        layers.push(createRectangle(
+          { x: cellX, y: y + 14, width: 16, height: 16 },
+          styles.layer("checkbox", { cornerRadius: 2 }),
+          "Checkbox"
+        ));
+        cellX += 30;
+      }
+
+      style.columnWidths.forEach((cellWidth, index) => {
+        layers.push(named(createText(String(cells[index]), {
+          x: cellX,
+          y: y + 12,
+          width: cellWidth,
+          height: 20
+        }, styles.text("caption", { color: style.textColor })), `Cell ${index + 1}`));
+        cellX += cellWidth;
+      });
+
+      return layers;
+    }
+  };
+
+  const overrides = {};
+  cells.forEach((cell, index) => {
+    overrides[`Cell ${index + 1}`] = String(cell);
+  });
+
+  return placeComponent(context, definition, frame, overrides, name);
+}
+
+module.exports = {
+  createButton,
+  createInput,
+  createTableRow
+};
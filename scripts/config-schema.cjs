@@ -0,0 +1,435 @@
+/**
+ * Config Schema
+ * 设计配置的 JSON Schema（draft-07）及校验
+ * 页面、画板等结构由本文件描述，各模块的配置由模块注册时提供的 schema 描述（见 module-registry.cjs），
+ * 与所有模块通用的字段（pin、layout、link 等）合并后按 type 选用
+ * 校验在渲染前进行：不符合 schema 的字段为错误，未声明的字段为警告并给出拼写建议
+ */
+
+const { listModules } = require('./module-registry.cjs');
+const {
+  ANIMATION_TYPES,
+  BLEND_MODES,
+  INFERRED_LAYOUT_AXES,
+  INFERRED_LAYOUT_ANCHORS,
+  RESIZING_CONSTRAINT_BITS
+} = require('./sketch-generator.cjs');
+
+const SCHEMA_URI = 'http://json-schema.org/draft-07/schema#';
+
+const PIN_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(RESIZING_CONSTRAINT_BITS).map(key => [key, { type: 'boolean' }]))
+};
+
+const LAYOUT_SCHEMA = {
+  type: 'object',
+  required: ['axis'],
+  properties: {
+    axis: { enum: Object.keys(INFERRED_LAYOUT_AXES) },
+    anchor: { enum: Object.keys(INFERRED_LAYOUT_ANCHORS) },
+    gap: { type: 'number' },
+    minSize: { type: 'number' },
+    maxSize: { type: 'number' }
+  }
+};
+
+const LINK_SCHEMA = {
+  type: ['string', 'object'],
+  required: ['to'],
+  properties: {
+    to: { type: 'string' },
+    animation: { enum: Object.keys(ANIMATION_TYPES) }
+  }
+};
+
+const EXPORT_FORMAT_SCHEMA = {
+  type: 'object',
+  properties: {
+    format: { type: 'string' },
+    scale: { type: 'number' },
+    suffix: { type: 'string' },
+    prefix: { type: 'string' }
+  }
+};
+
+const EXPORT_SCHEMA = {
+  type: ['string', 'object', 'array'],
+  properties: EXPORT_FORMAT_SCHEMA.properties,
+  items: EXPORT_FORMAT_SCHEMA
+};
+
+const GRID_SCHEMA = {
+  type: 'object',
+  properties: {
+    columns: { type: 'integer', minimum: 1 },
+    gutter: { type: 'number' },
+    margin: { type: 'number' },
+    width: { type: 'number' },
+    size: { type: 'number' },
+    thickTimes: { type: 'integer' }
+  }
+};
+
+const GUIDES_SCHEMA = {
+  type: 'object',
+  properties: {
+    x: { type: 'array', items: { type: 'number' } },
+    y: { type: 'array', items: { type: 'number' } }
+  }
+};
+
+const SIZE_SCHEMA = {
+  type: 'object',
+  required: ['width', 'height'],
+  properties: {
+    width: { type: 'number', minimum: 1 },
+    height: { type: 'number', minimum: 1 }
+  }
+};
+
+/**
+ * 所有模块通用的字段，由 sketch-api.cjs 处理，作用于模块编组
+ */
+const COMMON_MODULE_PROPERTIES = {
+  type: { type: 'string' },
+  name: { type: 'string' },
+  height: { type: 'number', minimum: 0 },
+  pin: PIN_SCHEMA,
+  layout: LAYOUT_SCHEMA,
+  export: EXPORT_SCHEMA,
+  link: LINK_SCHEMA,
+  span: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 2, maxItems: 2 },
+  opacity: { type: 'number', minimum: 0, maximum: 1 },
+  blendMode: { enum: Object.keys(BLEND_MODES) },
+  visible: { type: 'boolean' },
+  locked: { type: 'boolean' }
+};
+
+const TYPOGRAPHY_TOKEN_SCHEMA = {
+  type: 'object',
+  properties: {
+    fontFamily: { type: 'string' },
+    fontSize: { type: 'number' },
+    color: { type: 'string' },
+    alignment: { enum: ['left', 'right', 'center', 'justified'] }
+  }
+};
+
+const SURFACE_TOKEN_SCHEMA = {
+  type: 'object',
+  properties: {
+    fill: { type: ['string', 'object'] },
+    borderColor: { type: ['string', 'object'] },
+    borderWidth: { type: 'number' },
+    borders: { type: 'array', items: { type: 'object' } },
+    borderOptions: { type: 'object' },
+    shadow: { type: 'object' },
+    shadows: { type: 'array', items: { type: 'object' } },
+    elevation: { type: 'string' },
+    innerShadows: { type: 'array', items: { type: 'object' } },
+    blur: { type: 'object' },
+    opacity: { type: 'number', minimum: 0, maximum: 1 },
+    blendMode: { enum: Object.keys(BLEND_MODES) }
+  }
+};
+
+/**
+ * 模块定义的名称，用于 definitions 和 $ref
+ */
+function moduleDefinitionName(type) {
+  return `module.${type}`;
+}
+
+/**
+ * 生成完整的配置 JSON Schema，包含当前已注册的所有模块
+ * 可以写入文件供编辑器做补全和校验
+ * @returns {Object} JSON Schema（draft-07）
+ */
+function getConfigSchema() {
+  const modules = listModules();
+  const definitions = {};
+
+  // 每个模块的 schema 与通用字段合并，模块可以覆盖通用字段的描述；
+  // 注册时未提供 schema 的模块只检查通用字段，其余字段不报告为未知字段
+  modules.forEach(({ type, schema }) => {
+    const moduleSchema = schema || { additionalProperties: true };
+    definitions[moduleDefinitionName(type)] = {
+      ...moduleSchema,
+      type: 'object',
+      properties: { ...COMMON_MODULE_PROPERTIES, ...(moduleSchema.properties || {}) }
+    };
+  });
+
+  // 按 type 选用模块 schema；具体字段由对应的模块 schema 检查，这里不报告未声明的字段
+  definitions.module = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { enum: modules.map(({ type }) => type) }
+    },
+    additionalProperties: true,
+    allOf: modules.map(({ type }) => ({
+      if: { properties: { type: { const: type } }, required: ['type'] },
+      then: { $ref: `#/definitions/${moduleDefinitionName(type)}` }
+    }))
+  };
+
+  definitions.artboard = {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      size: SIZE_SCHEMA,
+      modules: { type: 'array', items: { $ref: '#/definitions/module' } },
+      grid: GRID_SCHEMA,
+      guides: GUIDES_SCHEMA,
+      export: EXPORT_SCHEMA,
+      flowHome: { type: 'boolean' }
+    }
+  };
+
+  definitions.page = {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      artboards: { type: 'array', items: { $ref: '#/definitions/artboard' } }
+    }
+  };
+
+  return {
+    $schema: SCHEMA_URI,
+    title: 'Sketch design config',
+    type: 'object',
+    properties: {
+      filename: { type: 'string' },
+      seed: { type: ['string', 'number'] },
+      theme: { enum: ['light', 'dark'] },
+      useSymbols: { type: 'boolean' },
+      colors: { type: 'object', additionalProperties: { type: 'string' } },
+      typography: { type: 'object', additionalProperties: TYPOGRAPHY_TOKEN_SCHEMA },
+      surfaces: { type: 'object', additionalProperties: SURFACE_TOKEN_SCHEMA },
+      elevations: { type: 'object', additionalProperties: { type: 'array', items: { type: 'object' } } },
+      gradients: { type: 'object', additionalProperties: { type: 'object', required: ['stops'] } },
+      grid: GRID_SCHEMA,
+      guides: GUIDES_SCHEMA,
+      export: EXPORT_SCHEMA,
+      pageName: { type: 'string' },
+      artboardSize: SIZE_SCHEMA,
+      modules: { type: 'array', items: { $ref: '#/definitions/module' } },
+      pages: { type: 'array', items: { $ref: '#/definitions/page' } }
+    },
+    definitions
+  };
+}
+
+/**
+ * 编辑距离（相邻字符交换计为一次编辑），用于拼写建议
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : (j === 0 ? i : 0))));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * 从候选中找出最接近的拼写，差异过大时返回 null
+ */
+function suggest(value, candidates) {
+  const input = String(value).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = editDistance(input, String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= Math.max(1, Math.floor(input.length / 3)) ? best : null;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return typeOf(value) === 'object';
+    default: return typeOf(value) === type;
+  }
+}
+
+function joinPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+/**
+ * 按 schema 校验一个值，错误和警告写入 report
+ * 支持 type、enum、const、required、properties、additionalProperties、items、minItems、maxItems、
+ * minimum、maximum、allOf、anyOf、if / then 和本文档内的 $ref
+ */
+function validateValue(value, schema, path, report, root) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/definitions/', '');
+    validateValue(value, root.definitions[name], path, report, root);
+    return;
+  }
+
+  const at = path || '(root)';
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      report.errors.push({ path: at, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    report.errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const hint = suggest(value, schema.enum);
+    report.errors.push({
+      path: at,
+      message: `unknown value ${JSON.stringify(value)}` + (hint !== null ? `, did you mean "${hint}"?` : `, expected one of: ${schema.enum.join(', ')}`)
+    });
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report.errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report.errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report.errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report.errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, joinPath(path, index), report, root));
+    }
+  }
+
+  if (typeOf(value) === 'object' && !Buffer.isBuffer(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        report.errors.push({ path: joinPath(path, key), message: 'required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const childPath = joinPath(path, key);
+      if (properties[key]) {
+        validateValue(value[key], properties[key], childPath, report, root);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(value[key], schema.additionalProperties, childPath, report, root);
+      } else if (schema.additionalProperties === false) {
+        const hint = suggest(key, Object.keys(properties));
+        report.errors.push({
+          path: childPath,
+          message: 'unknown field is not allowed' + (hint ? `, did you mean "${hint}"?` : '')
+        });
+      } else if (schema.additionalProperties === undefined && schema.properties) {
+        // 未声明的字段不影响生成，作为警告提示可能的拼写错误
+        const hint = suggest(key, Object.keys(properties));
+        report.warnings.push({
+          path: childPath,
+          message: 'unknown field' + (hint ? `, did you mean "${hint}"?` : '')
+        });
+      }
+    });
+  }
+
+  if (schema.anyOf) {
+    const probes = schema.anyOf.map(part => {
+      const probe = { errors: [], warnings: [] };
+      validateValue(value, part, path, probe, root);
+      return probe;
+    });
+    if (!probes.some(probe => probe.errors.length === 0)) {
+      // 各分支只是必需字段时合并为一条错误，如 "requires one of: text, label"
+      const onlyRequired = schema.anyOf.every(part => part.required && Object.keys(part).length === 1);
+      if (onlyRequired) {
+        report.errors.push({ path: at, message: `requires one of: ${schema.anyOf.map(part => part.required.join(' + ')).join(', ')}` });
+      } else {
+        report.errors.push(...probes[0].errors);
+      }
+    }
+  }
+
+  (schema.allOf || []).forEach(part => {
+    if (part.if) {
+      const probe = { errors: [], warnings: [] };
+      validateValue(value, part.if, path, probe, root);
+      if (probe.errors.length === 0 && part.then) {
+        validateValue(value, part.then, path, report, root);
+      }
+    } else {
+      validateValue(value, part, path, report, root);
+    }
+  });
+}
+
+/**
+ * 校验设计配置
+ * @param {Object} config - 设计配置
+ * @returns {Object} { valid, errors: [{ path, message }], warnings: [{ path, message }] }，
+ *   path 如 "modules[3].columns"、"pages[0].artboards[1].modules[0].type"
+ */
+function validateConfig(config) {
+  const schema = getConfigSchema();
+  const report = { errors: [], warnings: [] };
+  validateValue(config, schema, '', report, schema);
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * 格式化校验结果中的一项，如 "modules[3].columns: required"
+ */
+function formatIssue(issue) {
+  return `${issue.path}: ${issue.message}`;
+}
+
+/**
+ * 校验设计配置，存在错误时抛出，错误信息列出全部错误，error.errors 为结构化的错误列表
+ * @returns {Array} 警告列表 [{ path, message }]
+ */
+function assertValidConfig(config) {
+  const { errors, warnings } = validateConfig(config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid config:\n${errors.map(issue => `  ${formatIssue(issue)}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return warnings;
+}
+
+module.exports = {
+  getConfigSchema,
+  validateConfig,
+  assertValidConfig,
+  formatIssue,
+  COMMON_MODULE_PROPERTIES
+};
@@ -0,0 +1,104 @@
+/**
+ * Flow Library
+ * 收集原型链接（flow），让生成的多画板文件可以直接作为可点击原型预览
+ * 链接按画板名称指定目标，目标画板可以在之后才生成，全部页面生成后由 resolve() 统一解析为画板 ID
+ */
+
+const { createFlowConnection, createHotspot, createPrototypeViewport } = require('./sketch-generator.cjs');
+
+/**
+ * 归一化链接描述
+ * @param {string|Object} spec - 目标画板名称，或 { to, animation }
+ */
+function normalizeLink(spec) {
+  const link = typeof spec === 'string' ? { to: spec } : spec;
+  if (!link || typeof link.to !== 'string' || link.to === '') {
+    throw new Error(`Invalid link ${JSON.stringify(spec)}: expected { to: 'Artboard Name' | 'back', animation }`);
+  }
+  return link;
+}
+
+/**
+ * 创建原型链接库
+ * @returns {Object} { link, hotspot, registerArtboard, resolve }
+ */
+function createFlowLibrary() {
+  const artboards = [];
+  const pending = [];
+  let hasLinks = false;
+
+  /**
+   * 为图层添加原型链接
+   * @param {Object} layer - 任意图层（按钮实例、编组、矩形等）
+   * @param {string|Object} [spec] - { to: '画板名称' | 'back', animation }，不传时不做处理
+   * @returns {Object} 传入的图层
+   */
+  function link(layer, spec) {
+    if (!spec) {
+      return layer;
+    }
+    const { to, animation } = normalizeLink(spec);
+    hasLinks = true;
+
+    if (to === 'back') {
+      layer.flow = createFlowConnection('back', animation || 'slideFromLeft');
+    } else {
+      // 目标画板 ID 在 resolve() 中填入
+      layer.flow = createFlowConnection(null, animation);
+      pending.push({ flow: layer.flow, to, layerName: layer.name });
+    }
+    return layer;
+  }
+
+  /**
+   * 创建带原型链接的热区
+   * @param {Object} frame - 可点击区域
+   * @param {string|Object} spec - 链接描述，同 link
+   * @param {string} [name] - 图层名称
+   */
+  function hotspot(frame, spec, name) {
+    return link(createHotspot(frame, name), spec);
+  }
+
+  /**
+   * 登记可作为链接目标的画板
+   */
+  function registerArtboard(artboard) {
+    artboards.push(artboard);
+  }
+
+  /**
+   * 解析所有链接的目标画板
+   * 存在链接且没有画板声明 flowHome 时，第一个画板作为原型起点
+   */
+  function resolve() {
+    pending.forEach(({ flow, to, layerName }) => {
+      const targets = artboards.filter(artboard => artboard.name === to);
+      if (targets.length === 0) {
+        const available = artboards.map(artboard => `"${artboard.name}"`).join(', ');
+        throw new Error(`Link on "${layerName}" points to unknown artboard "${to}". Available artboards: ${available}`);
+      }
+      if (targets.length > 1) {
+        throw new Error(`Link on "${layerName}" is ambiguous: ${targets.length} artboards are named "${to}"`);
+      }
+      flow.destinationArtboardID = targets[0].do_objectID;
+    });
+
+    if (hasLinks && artboards.length > 0 && !artboards.some(artboard => artboard.isFlowHome)) {
+      const home = artboards[0];
+      home.isFlowHome = true;
+      home.prototypeViewport = createPrototypeViewport(home.name, home.frame.width, home.frame.height);
+    }
+  }
+
+  return {
+    link,
+    hotspot,
+    registerArtboard,
+    resolve
+  };
+}
+
+module.exports = {
+  createFlowLibrary
+};
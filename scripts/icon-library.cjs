@@ -0,0 +1,115 @@
+/**
+ * Icon Library
+ * 内置常用界面图标，以 SVG path 数据保存（24×24 网格、2px 圆头描边）
+ * 图标渲染为以图标命名的编组，每一笔为一个描边的 shapePath，可以任意尺寸和颜色绘制
+ */
+
+const { createSVGPathLayers, createRectangle, createGroup } = require('./sketch-generator.cjs');
+
+// 图标网格尺寸
+const ICON_GRID = 24;
+
+/**
+ * 内置图标，每个图标为一条 SVG path（多个子路径即多笔）
+ */
+const ICONS = new Map(Object.entries({
+  home: "M3 10.5L12 3l9 7.5M5 9v11h5v-6h4v6h5V9",
+  search: "M11 4a7 7 0 1 0 0 14a7 7 0 1 0 0-14zM16 16l5 5",
+  cart: "M2 3h3l2.5 12h11L21 7H6.2M10.5 20a1.5 1.5 0 1 1-3 0a1.5 1.5 0 1 1 3 0zM19.5 20a1.5 1.5 0 1 1-3 0a1.5 1.5 0 1 1 3 0z",
+  user: "M16 8a4 4 0 1 1-8 0a4 4 0 1 1 8 0zM4 21c0-4 3.6-7 8-7s8 3 8 7",
+  back: "M15 4l-8 8 8 8",
+  more: "M6 12a1 1 0 1 1-2 0a1 1 0 1 1 2 0zM13 12a1 1 0 1 1-2 0a1 1 0 1 1 2 0zM20 12a1 1 0 1 1-2 0a1 1 0 1 1 2 0z",
+  close: "M6 6l12 12M18 6L6 18",
+  check: "M4 12.5l5 5L20 6.5",
+  chevron: "M9 5l7 7-7 7",
+  chevronDown: "M5 9l7 7 7-7",
+  plus: "M12 5v14M5 12h14",
+  filter: "M3 5h18l-7 8.5V20l-4-2v-4.5z",
+  edit: "M4 20h4L19 9l-4-4L4 16zM13.5 6.5l4 4",
+  delete: "M4 7h16M9 7V4h6v3M6 7l1 13h10l1-13M10 11v6M14 11v6",
+  document: "M6 3h8l5 5v13H6zM14 3v5h5M9 13h7M9 17h7"
+}));
+
+/**
+ * 注册自定义图标
+ * @param {string} name - 图标名称
+ * @param {string} d - 24×24 网格上的 SVG path 数据，按描边绘制
+ * @param {Object} [options] - { override }，是否允许覆盖已有图标
+ */
+function registerIcon(name, d, options = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('registerIcon: name must be a non-empty string');
+  }
+  if (typeof d !== 'string' || d.trim() === '') {
+    throw new Error(`registerIcon: path data for "${name}" must be a non-empty string`);
+  }
+  if (ICONS.has(name) && !options.override) {
+    throw new Error(`registerIcon: icon "${name}" is already registered (pass { override: true } to replace it)`);
+  }
+  ICONS.set(name, d);
+}
+
+/**
+ * 是否存在指定图标
+ */
+function hasIcon(name) {
+  return ICONS.has(name);
+}
+
+/**
+ * 列出所有图标名称
+ */
+function listIcons() {
+  return Array.from(ICONS.keys());
+}
+
+/**
+ * 创建图标
+ * 编组包含一个无填充的 "Bounds" 矩形，编组大小始终为图标尺寸，便于与文字对齐
+ * @param {string} name - 图标名称，见 listIcons()
+ * @param {Object} frame - { x, y, width, height }，宽高默认 24，只写 width 时为正方形
+ * @param {Object} [options]
+ * @param {string|Object} [options.color] - 描边颜色，可以是 styles.color() 返回的 swatch 颜色
+ * @param {Object} [options.boundsStyle] - "Bounds" 矩形的样式参数，如 styles.layer('iconBounds')，用于关联共享图层样式
+ * @param {number} [options.strokeWidth=2] - 24×24 网格上的描边粗细，随图标尺寸缩放
+ * @param {string} [options.name] - 编组名称，默认为 "Icon/图标名称"
+ * @param {Object} [options.pin] - 响应式约束；另支持 export、opacity、blendMode、visible、locked，同 createGroup
+ * @returns {Object} 图标编组
+ */
+function createIcon(name, frame, options = {}) {
+  const d = ICONS.get(name);
+  if (!d) {
+    throw new Error(`Unknown icon "${name}". Available icons: ${listIcons().join(', ')}`);
+  }
+
+  const width = frame.width || ICON_GRID;
+  const height = frame.height || width;
+  const strokeWidth = (options.strokeWidth || 2) * Math.min(width, height) / ICON_GRID;
+  const bounds = createRectangle({ x: frame.x, y: frame.y, width, height }, options.boundsStyle || {}, "Bounds");
+  const strokes = createSVGPathLayers(d, {
+    x: frame.x,
+    y: frame.y,
+    width,
+    height,
+    viewBox: [0, 0, ICON_GRID, ICON_GRID]
+  }, {
+    borders: [{ color: options.color, thickness: strokeWidth, position: "center" }],
+    borderOptions: { lineCap: "round", lineJoin: "round" }
+  }, "Stroke");
+
+  return createGroup(options.name || `Icon/${name}`, [bounds, ...strokes], {
+    pin: options.pin,
+    export: options.export,
+    opacity: options.opacity,
+    blendMode: options.blendMode,
+    visible: options.visible,
+    locked: options.locked
+  });
+}
+
+module.exports = {
+  createIcon,
+  registerIcon,
+  hasIcon,
+  listIcons
+};
@@ -0,0 +1,105 @@
+/**
+ * ID Provider
+ * 统一生成 Sketch 对象 ID（do_objectID、symbolID 等）
+ * 默认生成随机 UUID；在 withIdSeed 中生成时，ID 由种子、作用域路径（页面 / 画板 / 模块）和作用域内序号派生，
+ * 同一配置重复生成得到完全相同的 ID，便于 diff 和保存基准文件；
+ * 共享样式、Symbol 等按需创建的对象使用以名称命名的顶层作用域（withIdRootScope），ID 与首次使用它的模块无关
+ */
+
+const crypto = require('crypto');
+
+// 当前种子，null 表示随机生成
+let currentSeed = null;
+// 当前作用域路径，如 ["page:0", "artboard:1", "module:2"]
+let currentScope = [];
+// 各作用域内已生成的 ID 数量
+let counters = new Map();
+
+/**
+ * 将 32 位十六进制摘要格式化为 UUID v4（符合 sketch-validator.cjs 的校验规则）
+ */
+function formatUUID(hex) {
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    '4' + hex.slice(13, 16),
+    variant + hex.slice(17, 20),
+    hex.slice(20, 32)
+  ].join('-').toUpperCase();
+}
+
+/**
+ * 生成 Sketch 兼容的 UUID
+ * 设置种子时，由 "种子|作用域路径|序号" 的 SHA-1 摘要派生
+ */
+function generateUUID() {
+  if (currentSeed === null) {
+    return crypto.randomUUID().toUpperCase();
+  }
+
+  const scope = currentScope.join('/');
+  const index = counters.get(scope) || 0;
+  counters.set(scope, index + 1);
+
+  const hex = crypto.createHash('sha1').update(`${currentSeed}|${scope}|${index}`).digest('hex');
+  return formatUUID(hex);
+}
+
+/**
+ * 在指定种子下执行 fn，fn 内生成的 ID 可复现；结束后恢复之前的状态
+ * @param {string|number} seed - 种子
+ * @param {Function} fn - 同步函数
+ * @returns {*} fn 的返回值
+ */
+function withIdSeed(seed, fn) {
+  const saved = { currentSeed, currentScope, counters };
+  currentSeed = String(seed);
+  currentScope = [];
+  counters = new Map();
+  try {
+    return fn();
+  } finally {
+    ({ currentSeed, currentScope, counters } = saved);
+  }
+}
+
+/**
+ * 在子作用域中执行 fn
+ * 作用域内的 ID 只取决于作用域路径和生成顺序
+ * @param {string} name - 作用域名称，如 "module:hero#0"
+ * @param {Function} fn - 同步函数
+ * @returns {*} fn 的返回值
+ */
+function withIdScope(name, fn) {
+  currentScope.push(name);
+  try {
+    return fn();
+  } finally {
+    currentScope.pop();
+  }
+}
+
+/**
+ * 在顶层作用域中执行 fn，不继承当前的作用域路径
+ * 用于被多个模块共用、在首次使用时才创建的对象，ID 只取决于名称
+ * @param {string} name - 作用域名称，如 "textStyle:title/Left/textPrimary"
+ * @param {Function} fn - 同步函数
+ * @returns {*} fn 的返回值
+ */
+function withIdRootScope(name, fn) {
+  const saved = currentScope;
+  currentScope = [name];
+  try {
+    return fn();
+  } finally {
+    currentScope = saved;
+  }
+}
+
+module.exports = {
+  generateUUID,
+  withIdSeed,
+  withIdScope,
+  withIdRootScope
+};
@@ -0,0 +1,107 @@
+/**
+ * Image Library
+ * 收集文档中引用的图片（本地 PNG/JPEG 路径或 Buffer），按内容去重
+ * 图层通过 file-ref 引用 "images/<sha1>.<ext>"，图片数据以 data-ref 形式登记在文档 assets.images 中，
+ * 打包时由 sketch-packer.cjs 写入 .sketch 包的 images/ 目录
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 图片格式识别（文件头）
+const IMAGE_FORMATS = [
+  { ext: 'png', signature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { ext: 'jpg', signature: [0xFF, 0xD8, 0xFF] }
+];
+
+/**
+ * 根据文件头识别图片格式
+ * @returns {string|null} 扩展名，无法识别时返回 null
+ */
+function detectImageFormat(buffer) {
+  const format = IMAGE_FORMATS.find(({ signature }) =>
+    buffer.length >= signature.length && signature.every((byte, i) => buffer[i] === byte)
+  );
+  return format ? format.ext : null;
+}
+
+/**
+ * 读取图片数据
+ * @param {string|Buffer} source - 本地文件路径（相对路径基于当前工作目录）或 Buffer
+ */
+function readImageSource(source) {
+  if (Buffer.isBuffer(source)) {
+    return source;
+  }
+  if (typeof source !== 'string' || source === '') {
+    throw new Error(`Invalid image source: expected a file path or Buffer`);
+  }
+  const filePath = path.resolve(source);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Image file not found: ${filePath}`);
+  }
+  return fs.readFileSync(filePath);
+}
+
+/**
+ * 创建图片库
+ * @returns {Object} { ref, fill, getImages }
+ */
+function createImageLibrary() {
+  const images = new Map();
+
+  /**
+   * 登记图片并返回 file-ref（符合 file-ref.schema.yaml）
+   * 同一内容的图片只保存一份
+   * @param {string|Buffer} source - PNG/JPEG 文件路径或 Buffer
+   */
+  function ref(source) {
+    const data = readImageSource(source);
+    const ext = detectImageFormat(data);
+    if (!ext) {
+      const label = Buffer.isBuffer(source) ? 'Buffer' : `"${source}"`;
+      throw new Error(`Unsupported image format for ${label}: expected PNG or JPEG`);
+    }
+
+    const sha1 = crypto.createHash('sha1').update(data).digest('hex');
+    const imagePath = `images/${sha1}.${ext}`;
+
+    if (!images.has(imagePath)) {
+      // 符合 data-ref.schema.yaml，打包时转换为 images/ 下的文件
+      images.set(imagePath, {
+        _class: "MSJSONOriginalDataReference",
+        _ref_class: "MSImageData",
+        _ref: imagePath,
+        data: { _data: data.toString('base64') },
+        sha1: { _data: sha1 }
+      });
+    }
+
+    return {
+      _class: "MSJSONFileReference",
+      _ref_class: "MSImageData",
+      _ref: imagePath
+    };
+  }
+
+  /**
+   * 获取图片填充描述，可直接放进 createStyle 的 fills
+   * @param {string|Buffer} source - PNG/JPEG 文件路径或 Buffer
+   * @param {Object} [options] - { mode: 'fill' | 'fit' | 'stretch' | 'tile', tileScale }
+   */
+  function fill(source, options = {}) {
+    return { ...options, image: ref(source) };
+  }
+
+  return {
+    ref,
+    fill,
+    getImages: () => Array.from(images.values())
+  };
+}
+
+module.exports = {
+  createImageLibrary,
+  detectImageFormat
+};
@@ -4,11 +4,17 @@
  */
 
 class LayoutValidator {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.resizable=true] - 自动修复时能否改变模块宽度；为 false 时 grid 策略不把模块缩小到列宽，
+   *   宽于一列的模块单独占一行
+   */
   constructor(options = {}) {
     this.artboardWidth = options.artboardWidth || 393;
     this.artboardHeight = options.artboardHeight || 852;
-    this.padding = options.padding || 16;
-    this.moduleGap = options.moduleGap || 8;
+    this.padding = options.padding !== undefined ? options.padding : 16;
+    this.moduleGap = options.moduleGap !== undefined ? options.moduleGap : 8;
+    this.resizable = options.resizable !== false;
     this.modules = [];
     this.modulePositions = [];
   }
@@ -21,17 +27,19 @@ class LayoutValidator {
    * @param {number} module.height - 模块高度
    * @param {number} [module.width] - 模块宽度（默认画布宽度）
    * @param {number} [module.y] - 固定Y坐标（可选）
+   * @param {number} [module.x] - 固定X坐标（可选），设置后 width 即模块的实际宽度，不再扣除左右边距
    */
   addModule(module) {
     const width = module.width || this.artboardWidth;
     const y = module.y !== undefined ? module.y : this._calculateY(module.type);
+    const hasX = module.x !== undefined;
     
     const moduleData = {
       id: module.id,
       type: module.type,
-      x: this.padding,
+      x: hasX ? module.x : this.padding,
       y: y,
-      width: width - this.padding * 2,
+      width: hasX ? width : width - this.padding * 2,
       height: module.height,
       originalY: y
     };
@@ -42,6 +50,8 @@ class LayoutValidator {
       type: module.type,
       x: moduleData.x,
       y: moduleData.y,
+      width: moduleData.width,
+      height: moduleData.height,
       right: moduleData.x + moduleData.width,
       bottom: moduleData.y + moduleData.height
     });
@@ -161,28 +171,20 @@ class LayoutValidator {
 
   /**
    * 自动修复重叠（堆叠策略）
+   * 模块保持原位置，与上方模块重叠时下移到其底部之后（间隔 moduleGap）
    */
   _autoFixStack(modules) {
     const fixed = [];
-    let currentY = this.padding;
+    let minY = -Infinity;
     
     for (const module of modules) {
-      // 如果模块有固定Y坐标，保持原位置
-      if (module.originalY !== undefined && module.originalY !== currentY) {
-        fixed.push({
-          ...module,
-          y: module.originalY,
-          bottom: module.originalY + module.height
-        });
-        currentY = module.originalY + module.height + this.moduleGap;
-      } else {
-        fixed.push({
-          ...module,
-          y: currentY,
-          bottom: currentY + module.height
-        });
-        currentY += module.height + this.moduleGap;
-      }
+      const y = Math.max(module.y, minY);
+      fixed.push({
+        ...module,
+        y: y,
+        bottom: y + module.height
+      });
+      minY = Math.max(minY, y + module.height + this.moduleGap);
     }
     
     return fixed;
@@ -198,6 +200,18 @@ class LayoutValidator {
     const colHeights = new Array(cols).fill(this.padding);
     
     for (const module of modules) {
+      // 不能缩放且宽于一列的模块放在所有列下方，单独占一行
+      if (!this.resizable && module.width > colWidth) {
+        const y = Math.max(...colHeights);
+        fixed.push({
+          ...module,
+          y: y,
+          bottom: y + module.height
+        });
+        colHeights.fill(y + module.height + this.moduleGap);
+        continue;
+      }
+
       // 找到最短的列
       let minCol = 0;
       for (let i = 1; i < cols; i++) {
@@ -208,13 +222,14 @@ class LayoutValidator {
       
       const x = this.padding + minCol * (colWidth + this.padding);
       const y = colHeights[minCol];
+      const width = this.resizable ? colWidth : module.width;
       
       fixed.push({
         ...module,
         x: x,
         y: y,
-        width: colWidth,
-        right: x + colWidth,
+        width: width,
+        right: x + width,
         bottom: y + module.height
       });
       
@@ -224,15 +239,52 @@ class LayoutValidator {
     return fixed;
   }
 
+  /**
+   * 重叠和溢出的总数
+   */
+  _countIssues(modules) {
+    return this._checkVerticalOverlap(modules).length +
+      this._checkHorizontalOverlap(modules).length +
+      this._checkBoundaryOverflow(modules).length;
+  }
+
+  /**
+   * 保留能减少问题的移动
+   * 整体修复减少问题时全部采用；否则逐个模块尝试修复后的位置，只保留减少问题的移动
+   * @returns {Array} 采用移动后的模块位置，没有可采用的移动时返回 original
+   */
+  _keepImprovingMoves(original, fixed) {
+    let best = original;
+    let bestCount = this._countIssues(original);
+    if (this._countIssues(fixed) < bestCount) {
+      return fixed;
+    }
+
+    fixed.forEach((module, index) => {
+      const candidate = best.slice();
+      candidate[index] = module;
+      const count = this._countIssues(candidate);
+      if (count < bestCount) {
+        best = candidate;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
   /**
    * 验证布局
    * @param {Object} options - 验证选项
    * @param {boolean} [options.autoFix=false] - 是否自动修复
    * @param {string} [options.fixStrategy='stack'] - 修复策略：stack/grid
-   * @returns {Object} 验证结果
+   * @returns {Object} 验证结果；自动修复只采用能减少问题的移动，wasAutoFixed 表示是否移动过模块，
+   *   overlaps、overflows 为移动后仍存在的问题
    */
   validate(options = {}) {
     const { autoFix = false, fixStrategy = 'stack' } = options;
+    if (fixStrategy !== 'stack' && fixStrategy !== 'grid') {
+      throw new Error(`Unknown layout fix strategy "${fixStrategy}". Use "stack" or "grid"`);
+    }
     
     // 检测重叠
     const verticalOverlaps = this._checkVerticalOverlap(this.modulePositions);
@@ -247,26 +299,25 @@ class LayoutValidator {
     
     // 如果启用自动修复
     if (autoFix && (hasOverlaps || hasOverflows)) {
-      if (fixStrategy === 'grid') {
-        resultModules = this._autoFixGrid(this.modulePositions);
-      } else {
-        resultModules = this._autoFixStack(this.modulePositions);
-      }
+      const fixedModules = fixStrategy === 'grid'
+        ? this._autoFixGrid(this.modulePositions)
+        : this._autoFixStack(this.modulePositions);
+      resultModules = this._keepImprovingMoves(this.modulePositions, fixedModules);
       
-      // 重新验证修复后的布局
-      const fixedVertical = this._checkVerticalOverlap(resultModules);
-      const fixedHorizontal = this._checkHorizontalOverlap(resultModules);
-      const fixedOverflows = this._checkBoundaryOverflow(resultModules);
-      
-      return {
-        hasOverlaps: fixedVertical.length > 0 || fixedHorizontal.length > 0,
-        hasOverflows: fixedOverflows.length > 0,
-        overlaps: [...fixedVertical, ...fixedHorizontal],
-        overflows: fixedOverflows,
-        modules: resultModules,
-        wasAutoFixed: true,
-        layoutReport: this._generateReport(resultModules)
-      };
+      if (resultModules !== this.modulePositions) {
+        // 重新验证修复后的布局，报告仍存在的问题
+        const fixedOverlaps = [...this._checkVerticalOverlap(resultModules), ...this._checkHorizontalOverlap(resultModules)];
+        const fixedOverflows = this._checkBoundaryOverflow(resultModules);
+        return {
+          hasOverlaps: fixedOverlaps.length > 0,
+          hasOverflows: fixedOverflows.length > 0,
+          overlaps: fixedOverlaps,
+          overflows: fixedOverflows,
+          modules: resultModules,
+          wasAutoFixed: true,
+          layoutReport: this._generateReport(resultModules, fixedOverlaps.length > 0 || fixedOverflows.length > 0)
+        };
+      }
     }
     
     return {
@@ -276,21 +327,23 @@ class LayoutValidator {
       overflows: boundaryOverflows,
       modules: resultModules,
       wasAutoFixed: false,
-      layoutReport: this._generateReport(this.modulePositions)
+      layoutReport: this._generateReport(this.modulePositions, hasOverlaps || hasOverflows)
     };
   }
 
   /**
    * 生成布局报告
+   * @param {Array} modules - 模块位置
+   * @param {boolean} hasIssues - 是否存在重叠或溢出
    */
-  _generateReport(modules) {
+  _generateReport(modules, hasIssues) {
     const lines = [
       `📊 布局分析:`,
       `  ✓ 画布尺寸: ${this.artboardWidth}x${this.artboardHeight}`,
       `  ✓ 模块数量: ${modules.length}`
     ];
     
-    if (this.hasOverlaps || this.hasOverflows) {
+    if (hasIssues) {
       lines.push(`  ✗ 检测到布局问题`);
     } else {
       lines.push(`  ✓ 无重叠/溢出`);
@@ -308,7 +361,11 @@ class LayoutValidator {
    * 获取布局报告字符串
    */
   getLayoutReport() {
-    return this._generateReport(this.modulePositions);
+    const positions = this.modulePositions;
+    const hasIssues = this._checkVerticalOverlap(positions).length > 0 ||
+      this._checkHorizontalOverlap(positions).length > 0 ||
+      this._checkBoundaryOverflow(positions).length > 0;
+    return this._generateReport(positions, hasIssues);
   }
 }
 
@@ -0,0 +1,61 @@
+/**
+ * Module Registry
+ * 模块注册表 - 按类型登记模块渲染器，支持在独立文件中扩展自定义模块
+ */
+
+const registry = new Map();
+
+/**
+ * 注册模块
+ * @param {string} type - 模块类型（config.modules[].type）
+ * @param {Function} renderer - 渲染函数 (module, context) => layers
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.defaults] - 模块默认配置，渲染前与模块配置浅合并
+ * @param {Object} [options.schema] - 模块配置的 JSON Schema 描述
+ * @param {boolean} [options.override=false] - 是否允许覆盖已注册的同名模块
+ */
+function registerModule(type, renderer, options = {}) {
+  if (!type || typeof type !== 'string') {
+    throw new Error('registerModule: type must be a non-empty string');
+  }
+  if (typeof renderer !== 'function') {
+    throw new Error(`registerModule: renderer for "${type}" must be a function`);
+  }
+  if (registry.has(type) && !options.override) {
+    throw new Error(`registerModule: module "${type}" is already registered (pass { override: true } to replace it)`);
+  }
+
+  registry.set(type, {
+    type,
+    renderer,
+    defaults: options.defaults || {},
+    schema: options.schema || null
+  });
+}
+
+/**
+ * 获取已注册的模块
+ * @param {string} type - 模块类型
+ * @returns {Object|null} { type, renderer, defaults, schema }
+ */
+function getModule(type) {
+  return registry.get(type) || null;
+}
+
+/**
+ * 列出所有已注册的模块
+ * @returns {Array} [{ type, defaults, schema }]
+ */
+function listModules() {
+  return Array.from(registry.values()).map(({ type, defaults, schema }) => ({
+    type,
+    defaults,
+    schema
+  }));
+}
+
+module.exports = {
+  registerModule,
+  getModule,
+  listModules
+};
@@ -0,0 +1,82 @@
+/**
+ * ActionButtons 模块 - 操作按钮组
+ */
+
+const { createRectangle, createGroup } = require('../sketch-generator.cjs');
+const { createButton } = require('../components.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    buttons: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string' },
+          primary: { type: 'boolean' },
+          link: { type: ['string', 'object'] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 渲染操作按钮组
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderActionButtons(module, context) {
+  const { x, y, width, styles, flows } = context;
+  const layers = [];
+
+  // 底部操作按钮
+  const actionBg = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('surface'),
+    "Action Buttons"
+  );
+  layers.push(actionBg);
+
+  if (module.buttons && Array.isArray(module.buttons)) {
+    const btnWidth = 100;
+    const btnHeight = 40;
+    const gap = 12;
+    const startX = x + width - (module.buttons.length * (btnWidth + gap) - gap) - 16;
+
+    // 按钮横向堆叠、右对齐，修改按钮文字后其余按钮随之移动
+    const buttons = [];
+    module.buttons.forEach((btn, index) => {
+      const btnX = startX + (index * (btnWidth + gap));
+
+      const [button] = createButton(context,
+        { x: btnX, y: y + 12, width: btnWidth, height: btnHeight },
+        btn.text,
+        {
+          variant: btn.primary ? "Primary" : "Default",
+          layerStyle: btn.primary ? "primaryButton" : "secondaryButton",
+          cornerRadius: 6,
+          textColor: btn.primary ? "#FFFFFF" : "textPrimary",
+          textStyle: "label",
+          textHeight: 24
+        }
+      );
+      buttons.push(flows.link(button, btn.link));
+    });
+    layers.push(createGroup("Buttons", buttons, { layout: { axis: "horizontal", anchor: "end", gap } }));
+  }
+
+  return layers;
+}
+
+registerModule('actionButtons', renderActionButtons, {
+  defaults: { height: 64 },
+  schema: SCHEMA
+});
+
+module.exports = { renderActionButtons };
@@ -0,0 +1,83 @@
+/**
+ * BottomNav 模块 - 底部导航栏
+ */
+
+const { createRectangle, createText, createGroup } = require('../sketch-generator.cjs');
+const { createIcon } = require('../icon-library.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    items: {
+      type: 'array',
+      items: {
+        type: ['string', 'object'],
+        anyOf: [{ required: ['text'] }, { required: ['label'] }],
+        properties: {
+          text: { type: 'string' },
+          label: { type: 'string' },
+          icon: { type: 'string' },
+          link: { type: ['string', 'object'] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 渲染底部导航栏
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderBottomNav(module, context) {
+  const { x, y, width, styles, flows } = context;
+  const layers = [];
+
+  // 底部导航
+  const bottomNav = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('surface'),
+    "Bottom Navigation"
+  );
+  layers.push(bottomNav);
+
+  // 导航项，等宽横向堆叠；导航项可以写 { text, icon, link }（text 也可以写作 label），点击切换到对应画板
+  // 带图标时图标在上、文字在下，两者放入以文字命名的编组
+  if (module.items) {
+    const itemWidth = width / module.items.length;
+    const navItems = module.items.map((item, index) => {
+      const { text = item.label, icon, link } = typeof item === 'string' ? { text: item } : item;
+      const color = index === 0 ? "primary" : "textSecondary";
+      const itemX = x + index * itemWidth;
+      const navText = createText(text, {
+        x: itemX,
+        y: y + (icon ? 38 : 28),
+        width: itemWidth,
+        height: 24
+      }, styles.text('small', { color, alignment: "center" }));
+      const navItem = icon
+        ? createGroup(text, [
+          createIcon(icon, { x: itemX + (itemWidth - 24) / 2, y: y + 12, width: 24 }, {
+            color: styles.color(color),
+            boundsStyle: styles.layer('iconBounds')
+          }),
+          navText
+        ])
+        : navText;
+      return flows.link(navItem, link && { animation: "none", ...(typeof link === 'string' ? { to: link } : link) });
+    });
+    layers.push(createGroup("Items", navItems, { layout: { axis: "horizontal", anchor: "center" } }));
+  }
+
+  return layers;
+}
+
+registerModule('bottomNav', renderBottomNav, {
+  defaults: { height: 80, pin: { left: true, right: true, bottom: true, height: true } },
+  schema: SCHEMA
+});
+
+module.exports = { renderBottomNav };
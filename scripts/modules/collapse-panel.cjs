@@ -0,0 +1,122 @@
+/**
+ * CollapsePanel 模块 - 折叠面板
+ */
+
+const { createRectangle, createText, createGroup, createTriangle } = require('../sketch-generator.cjs');
+const { createInput } = require('../components.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    title: { type: 'string' },
+    fields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label'],
+        properties: {
+          label: { type: 'string' },
+          value: { type: 'string' },
+          required: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 渲染折叠面板
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderCollapsePanel(module, context) {
+  const { x, y, width, colorPalette, styles } = context;
+  const layers = [];
+
+  // 折叠面板容器
+  const panelBg = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('surface', { cornerRadius: 8 }),
+    "Collapsible Panel"
+  );
+  layers.push(panelBg);
+
+  // 面板标题
+  if (module.title) {
+    const panelTitle = createText(module.title, {
+      x: x + 16,
+      y: y + 16,
+      width: width - 32,
+      height: 24
+    }, styles.text('subtitle', { color: "textPrimary" }));
+    layers.push(panelTitle);
+  }
+
+  // 展开状态的箭头
+  const caret = createTriangle(
+    { x: x + width - 26, y: y + 25, width: 10, height: 6 },
+    "down",
+    { fills: [styles.color("textSecondary")], pin: { right: true, top: true, width: true, height: true } },
+    "Caret"
+  );
+  layers.push(caret);
+
+  // 表单字段
+  if (module.fields && Array.isArray(module.fields)) {
+    const cols = 2;
+    const fieldWidth = (width - 48) / cols;
+    const fieldHeight = 36;
+
+    module.fields.forEach((field, index) => {
+      const col = index % cols;
+      const row = Math.floor(index / cols);
+      const fieldX = x + 16 + (col * (fieldWidth + 16));
+      const fieldY = y + 52 + (row * (fieldHeight + 16));
+
+      // 字段标签，必填字段前加红色星号（调色板未定义 error 时使用默认红色）
+      const label = field.required
+        ? [{ text: "* ", color: styles.color(colorPalette.error ? "error" : "#F53F3F") }, { text: field.label }]
+        : field.label;
+      const fieldLabel = createText(label, {
+        x: fieldX,
+        y: fieldY,
+        width: fieldWidth,
+        height: 16
+      }, styles.text('captionStrong', { color: "textSecondary" }));
+
+      // 字段值/输入框，与标签一起放入以字段命名的编组
+      const fieldInput = createInput(context,
+        { x: fieldX, y: fieldY + 18, width: fieldWidth, height: 32 },
+        field.value || "",
+        {
+          variant: field.value ? "Field" : "Field/Empty",
+          layerStyle: "input",
+          cornerRadius: 4,
+          textColor: field.value ? "textPrimary" : "textSecondary",
+          textStyle: "caption",
+          paddingX: 8,
+          paddingTop: 6
+        },
+        "Input"
+      );
+      layers.push(createGroup(field.label, [fieldLabel, ...fieldInput]));
+    });
+  }
+
+  return layers;
+}
+
+registerModule('collapsePanel', renderCollapsePanel, {
+  defaults: { height: 300 },
+  schema: SCHEMA
+});
+
+registerModule('collapsiblePanel', renderCollapsePanel, {
+  defaults: { height: 300 },
+  schema: SCHEMA
+});
+
+module.exports = { renderCollapsePanel };
@@ -0,0 +1,165 @@
+/**
+ * CustomLoginForm 模块 - 带验证码的登录表单
+ */
+
+const { createRectangle, createText, createBitmap } = require('../sketch-generator.cjs');
+const { createButton, createInput } = require('../components.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    title: { type: 'string' },
+    usernamePlaceholder: { type: 'string' },
+    passwordPlaceholder: { type: 'string' },
+    verifyCodePlaceholder: { type: 'string' },
+    verifyCodeImage: { type: ['string', 'object'] },
+    loginText: { type: 'string' },
+    resetText: { type: 'string' }
+  }
+};
+
+/**
+ * 渲染带验证码的登录表单
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderCustomLoginForm(module, context) {
+  const { x, y, width, styles, images } = context;
+  const layers = [];
+  const inputStyle = {
+    variant: "Default",
+    layerStyle: "input",
+    cornerRadius: 8,
+    textColor: "textSecondary"
+  };
+
+  // 自定义登录表单 - 包含验证码
+  const customFormContainer = createRectangle(
+    { x: x + width/2 - 160, y: y + 40, width: 320, height: 380 },
+    styles.layer('card', { cornerRadius: 12 }),
+    "Login Form"
+  );
+  layers.push(customFormContainer);
+
+  // 标题
+  if (module.title) {
+    const customFormTitle = createText(module.title, {
+      x: x + width/2 - 160,
+      y: y + 60,
+      width: 320,
+      height: 32
+    }, styles.text('h1', { color: "textPrimary", alignment: "center" }));
+    layers.push(customFormTitle);
+  }
+
+  // 账号名字段
+  const usernameLabel = createText("账号名", {
+    x: x + width/2 - 140,
+    y: y + 110,
+    width: 280,
+    height: 18
+  }, styles.text('label', { color: "textSecondary" }));
+  layers.push(usernameLabel);
+
+  layers.push(...createInput(context,
+    { x: x + width/2 - 140, y: y + 135, width: 280, height: 44 },
+    module.usernamePlaceholder || "请输入账号名",
+    inputStyle,
+    "Username Input"
+  ));
+
+  // 密码字段
+  const customPasswordLabel = createText("密码", {
+    x: x + width/2 - 140,
+    y: y + 195,
+    width: 280,
+    height: 18
+  }, styles.text('label', { color: "textSecondary" }));
+  layers.push(customPasswordLabel);
+
+  layers.push(...createInput(context,
+    { x: x + width/2 - 140, y: y + 220, width: 280, height: 44 },
+    module.passwordPlaceholder || "请输入密码",
+    inputStyle,
+    "Password Input"
+  ));
+
+  // 验证码字段
+  const verifyCodeLabel = createText("验证码", {
+    x: x + width/2 - 140,
+    y: y + 280,
+    width: 280,
+    height: 18
+  }, styles.text('label', { color: "textSecondary" }));
+  layers.push(verifyCodeLabel);
+
+  // 验证码输入框 (2/3 宽度)
+  layers.push(...createInput(context,
+    { x: x + width/2 - 140, y: y + 305, width: 180, height: 44 },
+    module.verifyCodePlaceholder || "请输入验证码",
+    inputStyle,
+    "Verify Code Input"
+  ));
+
+  // 验证码图片 (1/3 宽度)，未提供 verifyCodeImage 时使用占位
+  const verifyCodeFrame = { x: x + width/2 + 50, y: y + 305, width: 90, height: 44 };
+  if (module.verifyCodeImage) {
+    layers.push(createBitmap(verifyCodeFrame, images.ref(module.verifyCodeImage), "Verify Code Image"));
+  } else {
+    const verifyCodeImage = createRectangle(
+      verifyCodeFrame,
+      styles.layer('background', { cornerRadius: 8 }),
+      "Verify Code Image"
+    );
+    layers.push(verifyCodeImage);
+
+    const verifyCodeText = createText("1234", {
+      x: x + width/2 + 65,
+      y: y + 319,
+      width: 60,
+      height: 18
+    }, styles.text('subtitle', { color: "textPrimary", alignment: "center" }));
+    layers.push(verifyCodeText);
+  }
+
+  // 按钮组
+  const btnY = y + 365;
+
+  // 登录按钮
+  layers.push(...createButton(context,
+    { x: x + width/2 - 140, y: btnY, width: 130, height: 44 },
+    module.loginText || "登录",
+    {
+      variant: "Primary",
+      layerStyle: "primaryButton",
+      cornerRadius: 8,
+      textColor: "#FFFFFF"
+    },
+    "Login Button"
+  ));
+
+  // 重置按钮
+  layers.push(...createButton(context,
+    { x: x + width/2 + 10, y: btnY, width: 130, height: 44 },
+    module.resetText || "重置",
+    {
+      variant: "Secondary",
+      layerStyle: "secondaryButton",
+      cornerRadius: 8,
+      textColor: "textSecondary"
+    },
+    "Reset Button"
+  ));
+
+  return layers;
+}
+
+registerModule('customLoginForm', renderCustomLoginForm, {
+  defaults: { height: 440 },
+  schema: SCHEMA
+});
+
+module.exports = { renderCustomLoginForm };
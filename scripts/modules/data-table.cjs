@@ -0,0 +1,137 @@
+/**
+ * DataTable 模块 - 数据表格
+ */
+
+const { createRectangle, createText, createGroup } = require('../sketch-generator.cjs');
+const { createButton, createTableRow } = require('../components.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+// 未指定宽度的列的默认宽度
+const DEFAULT_COLUMN_WIDTH = 80;
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    title: { type: 'string' },
+    hasCheckbox: { type: 'boolean' },
+    hasActions: { type: 'boolean' },
+    columns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          width: { type: 'number' }
+        }
+      }
+    },
+    rows: { type: 'array', items: { type: 'array' } }
+  },
+  // 行的单元格宽度取自对应的列，有 rows 时必须提供 columns
+  allOf: [
+    { if: { required: ['rows'] }, then: { required: ['columns'] } }
+  ]
+};
+
+/**
+ * 渲染数据表格
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderDataTable(module, context) {
+  const { x, y, width, styles } = context;
+  const layers = [];
+
+  // 数据表格容器
+  const tableBg = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('surface', { cornerRadius: 8 }),
+    "Data Table"
+  );
+  layers.push(tableBg);
+
+  // 表格标题
+  if (module.title) {
+    const tableTitle = createText(module.title, {
+      x: x + 16,
+      y: y + 16,
+      width: width - 32,
+      height: 24
+    }, styles.text('subtitle', { color: "textPrimary" }));
+    layers.push(tableTitle);
+  }
+
+  // 新增按钮
+  layers.push(...createButton(context,
+    { x: x + width - 100, y: y + 12, width: 80, height: 32 },
+    "新增",
+    {
+      variant: "Primary",
+      layerStyle: "primaryButton",
+      cornerRadius: 4,
+      textColor: "#FFFFFF",
+      textStyle: "captionStrong"
+    },
+    "Add Button"
+  ));
+
+  // 表头背景（带底部分隔线）
+  const theadBg = createRectangle(
+    { x: x + 16, y: y + 52, width: width - 32, height: 40 },
+    styles.layer('tableHeader'),
+    "Background"
+  );
+  const theadLayers = [theadBg];
+
+  // 表头列
+  if (module.columns && Array.isArray(module.columns)) {
+    let colX = x + 20;
+    module.columns.forEach((col) => {
+      const colWidth = col.width || DEFAULT_COLUMN_WIDTH;
+      const colHeader = createText(col.name, {
+        x: colX,
+        y: y + 62,
+        width: colWidth,
+        height: 20
+      }, styles.text('captionStrong', { color: "textSecondary" }));
+      theadLayers.push(colHeader);
+      colX += colWidth;
+    });
+  }
+  layers.push(createGroup("Table Header", theadLayers));
+
+  // 表格行
+  if (module.rows && Array.isArray(module.rows)) {
+    module.rows.forEach((row, rowIndex) => {
+      const rowY = y + 92 + (rowIndex * 44);
+
+      // 操作列放最后，不渲染为单元格；不修改配置中的行数据，重复导出结果一致
+      const cells = module.hasActions ? row.slice(0, -1) : row;
+
+      layers.push(...createTableRow(context,
+        { x: x + 16, y: rowY, width: width - 32, height: 44 },
+        cells,
+        {
+          variant: rowIndex % 2 === 0 ? "Odd" : "Even",
+          layerStyle: rowIndex % 2 === 0 ? "surface" : "background",
+          columnWidths: cells.map((cell, colIndex) => (module.columns || [])[colIndex]?.width || DEFAULT_COLUMN_WIDTH),
+          textColor: "textPrimary",
+          checkbox: Boolean(module.hasCheckbox)
+        },
+        `Row ${rowIndex + 1}`
+      ));
+    });
+  }
+
+  return layers;
+}
+
+registerModule('dataTable', renderDataTable, {
+  defaults: { height: 300 },
+  schema: SCHEMA
+});
+
+module.exports = { renderDataTable };
@@ -0,0 +1,71 @@
+/**
+ * Features 模块 - 功能列表
+ */
+
+const { createRectangle, createText, createGroup } = require('../sketch-generator.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    sectionTitle: { type: 'string' },
+    items: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/**
+ * 渲染功能列表
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderFeatures(module, context) {
+  const { x, y, width, styles } = context;
+  const layers = [];
+
+  // 功能区背景
+  const featuresBg = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('surface'),
+    "Features"
+  );
+  layers.push(featuresBg);
+
+  // 功能项从标题下方开始，按文本实际高度依次排列，长文本换行不会重叠
+  let itemY = y + 60;
+
+  // 标题
+  if (module.sectionTitle) {
+    const sectionTitle = createText(module.sectionTitle, {
+      x: x + 16,
+      y: y + 20,
+      width: width - 32
+    }, styles.text('h3', { color: "textPrimary" }));
+    layers.push(sectionTitle);
+    itemY = Math.max(itemY, sectionTitle.frame.y + sectionTitle.frame.height + 16);
+  }
+
+  // 功能项纵向堆叠，编辑文字后下方的功能项随之移动
+  if (module.items && Array.isArray(module.items) && module.items.length > 0) {
+    const featureItems = module.items.map((item) => {
+      const featureItem = createText(`• ${item}`, {
+        x: x + 16,
+        y: itemY,
+        width: width - 32
+      }, styles.text('bodyLarge', { color: "textPrimary" }));
+      itemY += featureItem.frame.height + 28;
+      return featureItem;
+    });
+    layers.push(createGroup("Items", featureItems, { layout: { axis: "vertical", gap: 28 } }));
+  }
+
+  return layers;
+}
+
+registerModule('features', renderFeatures, {
+  defaults: { height: 200 },
+  schema: SCHEMA
+});
+
+module.exports = { renderFeatures };
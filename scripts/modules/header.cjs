@@ -0,0 +1,146 @@
+/**
+ * Header 模块 - 顶部导航栏
+ */
+
+const {
+  createRectangle,
+  createText,
+  createOval,
+  createMaskGroup,
+  createShapeGroup
+} = require('../sketch-generator.cjs');
+const { createIcon } = require('../icon-library.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    title: { type: 'string' },
+    back: { type: ['boolean', 'string', 'object'] },
+    leftIcon: { type: 'string' },
+    avatar: { type: ['boolean', 'string', 'object'] },
+    rightIcons: {
+      type: 'array',
+      items: {
+        type: ['string', 'object'],
+        required: ['icon'],
+        properties: {
+          icon: { type: 'string' },
+          link: { type: ['string', 'object'] }
+        }
+      }
+    }
+  }
+};
+
+// 图标尺寸和可点击区域宽度
+const ICON_SIZE = 24;
+const ICON_HIT_WIDTH = 48;
+const AVATAR_SIZE = 32;
+
+/**
+ * 圆形头像：图片用圆形遮罩裁剪；没有图片时为默认人像，头部和身体两个椭圆合并为一个形状
+ */
+function createAvatar(frame, avatar, { styles, images }) {
+  const { x, y, width: size } = frame;
+  const mask = createOval(frame, styles.layer('avatar'), "Mask");
+  const head = { x: x + size * 0.3, y: y + size * 0.18, width: size * 0.4, height: size * 0.4 };
+  const body = { x: x + size * 0.15, y: y + size * 0.6, width: size * 0.7, height: size * 0.4 };
+  const content = avatar === true
+    ? createShapeGroup("Person", [
+      createOval(head, {}, "Head"),
+      createOval(body, { booleanOperation: "union" }, "Body")
+    ], styles.layer('surface'))
+    : createRectangle(frame, styles.layer('image', { fill: images.fill(avatar) }), "Image");
+  return createMaskGroup("Avatar", mask, [content], { pin: { left: true, top: true, width: true, height: true } });
+}
+
+/**
+ * 渲染顶部导航栏
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderHeader(module, context) {
+  const { x, y, width, styles, flows } = context;
+  const layers = [];
+
+  // 顶部导航栏背景
+  const header = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('header'),
+    "Header"
+  );
+  layers.push(header);
+
+  // 标题文字
+  if (module.title) {
+    const titleText = createText(module.title, {
+      x: x + 16,
+      y: y + 16,
+      width: width - 32,
+      height: 24
+    }, styles.text('title', { color: "textPrimary", alignment: "center" }));
+    layers.push(titleText);
+  }
+
+  const iconY = y + (module.height - ICON_SIZE) / 2;
+  const iconColor = styles.color("textPrimary");
+  const boundsStyle = styles.layer('iconBounds');
+
+  // 左侧图标，设置 back 时默认为返回箭头
+  // back 为 true 时返回上一屏，也可以写目标画板名称或 { to, animation }
+  const leftIcon = module.leftIcon || (module.back ? "back" : null);
+  if (leftIcon) {
+    layers.push(createIcon(leftIcon, { x: x + 16, y: iconY, width: ICON_SIZE }, {
+      color: iconColor,
+      boundsStyle,
+      pin: { left: true, top: true, width: true, height: true }
+    }));
+  }
+  if (module.back) {
+    layers.push(flows.hotspot(
+      { x, y, width: ICON_HIT_WIDTH, height: module.height },
+      module.back === true ? { to: 'back' } : module.back,
+      "Back"
+    ));
+  }
+
+  // 头像，avatar 为图片路径或 Buffer，写 true 时显示默认人像；位于左侧图标之后
+  if (module.avatar) {
+    const avatarX = x + 16 + (leftIcon ? ICON_SIZE + 16 : 0);
+    layers.push(createAvatar(
+      { x: avatarX, y: y + (module.height - AVATAR_SIZE) / 2, width: AVATAR_SIZE, height: AVATAR_SIZE },
+      module.avatar,
+      context
+    ));
+  }
+
+  // 右侧操作图标，从右向左排列；每项可以写图标名称或 { icon, link }
+  (module.rightIcons || []).forEach((item, index) => {
+    const { icon, link } = typeof item === 'string' ? { icon: item } : item;
+    const iconX = x + width - 16 - ICON_SIZE - index * (ICON_SIZE + 16);
+    layers.push(createIcon(icon, { x: iconX, y: iconY, width: ICON_SIZE }, {
+      color: iconColor,
+      boundsStyle,
+      pin: { right: true, top: true, width: true, height: true }
+    }));
+    if (link) {
+      layers.push(flows.hotspot(
+        { x: iconX - 12, y, width: ICON_HIT_WIDTH, height: module.height },
+        link,
+        icon.charAt(0).toUpperCase() + icon.slice(1)
+      ));
+    }
+  });
+
+  return layers;
+}
+
+registerModule('header', renderHeader, {
+  defaults: { height: 56, pin: { left: true, right: true, top: true, height: true } },
+  schema: SCHEMA
+});
+
+module.exports = { renderHeader };
@@ -0,0 +1,110 @@
+/**
+ * Hero 模块 - 主视觉区域
+ */
+
+const { createRectangle, createText } = require('../sketch-generator.cjs');
+const { createButton } = require('../components.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    title: { type: 'string' },
+    subtitle: { type: 'string' },
+    cta: { type: 'string' },
+    ctaLink: { type: ['string', 'object'] },
+    background: { type: ['string', 'object'] },
+    image: { type: ['string', 'object'] },
+    overlay: { type: ['string', 'object'] }
+  }
+};
+
+/**
+ * 渲染主视觉区域
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderHero(module, context) {
+  const { x, y, width, styles, images, flows } = context;
+  const layers = [];
+
+  // Hero 区域背景，background 可以是颜色、渐变描述或渐变名称
+  const heroBg = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('primary', { fill: module.background }),
+    "Hero Background"
+  );
+  layers.push(heroBg);
+
+  // 背景图片，image 为本地 PNG/JPEG 路径或 Buffer，按比例裁剪铺满整个区域
+  if (module.image) {
+    const heroImage = createRectangle(
+      { x, y, width, height: module.height },
+      styles.layer('image', { fill: images.fill(module.image) }),
+      "Hero Image"
+    );
+    layers.push(heroImage);
+  }
+
+  // 图片上的叠加层，如 { color: "primary", opacity: 0.6, blendMode: "multiply" }，让文字在图片上保持可读
+  if (module.overlay) {
+    const heroOverlay = createRectangle(
+      { x, y, width, height: module.height },
+      styles.layer('overlay', { fill: module.overlay }),
+      "Hero Overlay"
+    );
+    layers.push(heroOverlay);
+  }
+
+  // 标题、副标题和按钮按文本实际高度依次向下排列
+  let contentY = y + 40;
+
+  // 主标题
+  if (module.title) {
+    const heroTitle = createText(module.title, {
+      x: x + 24,
+      y: contentY,
+      width: width - 48
+    }, styles.text('display', { color: "#FFFFFF", alignment: "center" }));
+    layers.push(heroTitle);
+    contentY += heroTitle.frame.height + 8;
+  }
+
+  // 副标题
+  if (module.subtitle) {
+    const heroSubtitle = createText(module.subtitle, {
+      x: x + 24,
+      y: contentY,
+      width: width - 48
+    }, styles.text('lead', { color: "#FFFFFF", alignment: "center" }));
+    layers.push(heroSubtitle);
+    contentY += heroSubtitle.frame.height;
+  }
+
+  // CTA 按钮，ctaLink 为点击后跳转的画板
+  if (module.cta) {
+    const [ctaButton] = createButton(context,
+      { x: x + width/2 - 70, y: contentY + 36, width: 140, height: 44 },
+      module.cta,
+      {
+        variant: "CTA",
+        layerStyle: "inverseButton",
+        cornerRadius: 22,
+        textColor: "primary"
+      },
+      "CTA Button"
+    );
+    layers.push(flows.link(ctaButton, module.ctaLink));
+  }
+
+  return layers;
+}
+
+registerModule('hero', renderHero, {
+  defaults: { height: 280 },
+  schema: SCHEMA
+});
+
+module.exports = { renderHero };
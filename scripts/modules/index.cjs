@@ -0,0 +1,17 @@
+/**
+ * 内置模块
+ * 加载即完成注册，自定义模块可参照这些文件调用 registerModule
+ */
+
+require('./header.cjs');
+require('./hero.cjs');
+require('./features.cjs');
+require('./product-grid.cjs');
+require('./bottom-nav.cjs');
+require('./login-form.cjs');
+require('./custom-login-form.cjs');
+require('./order-header.cjs');
+require('./collapse-panel.cjs');
+require('./data-table.cjs');
+require('./action-buttons.cjs');
+require('./placeholder.cjs');
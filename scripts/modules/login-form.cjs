@@ -0,0 +1,131 @@
+/**
+ * LoginForm 模块 - 登录表单
+ */
+
+const { createRectangle, createText } = require('../sketch-generator.cjs');
+const { createButton, createInput } = require('../components.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    title: { type: 'string' },
+    buttons: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          primary: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 渲染登录表单
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderLoginForm(module, context) {
+  const { x, y, width, styles } = context;
+  const layers = [];
+  const inputStyle = {
+    variant: "Default",
+    layerStyle: "input",
+    cornerRadius: 8,
+    textColor: "textSecondary"
+  };
+
+  // 登录表单容器
+  const loginContainer = createRectangle(
+    { x: x + width/2 - 200, y: y + 60, width: 400, height: 320 },
+    styles.layer('card', { cornerRadius: 12 }),
+    "Login Form"
+  );
+  layers.push(loginContainer);
+
+  // 标题
+  if (module.title) {
+    const formTitle = createText(module.title, {
+      x: x + width/2 - 200,
+      y: y + 80,
+      width: 400,
+      height: 32
+    }, styles.text('h1', { color: "textPrimary", alignment: "center" }));
+    layers.push(formTitle);
+  }
+
+  // 账号输入框
+  const emailLabel = createText("Email", {
+    x: x + width/2 - 170,
+    y: y + 140,
+    width: 340,
+    height: 18
+  }, styles.text('label', { color: "textSecondary" }));
+  layers.push(emailLabel);
+
+  layers.push(...createInput(context,
+    { x: x + width/2 - 170, y: y + 165, width: 340, height: 44 },
+    "Enter your email",
+    inputStyle,
+    "Email Input"
+  ));
+
+  // 密码输入框
+  const passwordLabel = createText("Password", {
+    x: x + width/2 - 170,
+    y: y + 225,
+    width: 340,
+    height: 18
+  }, styles.text('label', { color: "textSecondary" }));
+  layers.push(passwordLabel);
+
+  layers.push(...createInput(context,
+    { x: x + width/2 - 170, y: y + 250, width: 340, height: 44 },
+    "Enter your password",
+    inputStyle,
+    "Password Input"
+  ));
+
+  // 按钮组
+  if (module.buttons) {
+    // 登录按钮
+    layers.push(...createButton(context,
+      { x: x + width/2 - 170, y: y + 310, width: 160, height: 44 },
+      "Sign In",
+      {
+        variant: "Primary",
+        layerStyle: "primaryButton",
+        cornerRadius: 8,
+        textColor: "#FFFFFF"
+      },
+      "Login Button"
+    ));
+
+    // 重置按钮
+    layers.push(...createButton(context,
+      { x: x + width/2 + 10, y: y + 310, width: 160, height: 44 },
+      "Reset",
+      {
+        variant: "Secondary",
+        layerStyle: "secondaryButton",
+        cornerRadius: 8,
+        textColor: "textSecondary"
+      },
+      "Reset Button"
+    ));
+  }
+
+  return layers;
+}
+
+registerModule('loginForm', renderLoginForm, {
+  defaults: { height: 440 },
+  schema: SCHEMA
+});
+
+module.exports = { renderLoginForm };
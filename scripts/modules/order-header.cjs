@@ -0,0 +1,107 @@
+/**
+ * OrderHeader 模块 - 订单详情头部卡片
+ */
+
+const { createRectangle, createText } = require('../sketch-generator.cjs');
+const { createIcon, hasIcon } = require('../icon-library.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    title: { type: 'string' },
+    subtitle: { type: 'string' },
+    icon: { type: 'string' },
+    status: { type: 'string' },
+    statusColor: { type: 'string' }
+  }
+};
+
+/**
+ * 渲染订单详情头部卡片
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderOrderHeader(module, context) {
+  const { x, y, width, styles } = context;
+  const layers = [];
+
+  // 顶部详情卡片
+  const headerBg = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('surface'),
+    "Order Header"
+  );
+  layers.push(headerBg);
+
+  // 标题、副标题和图标文字按文本实际高度依次向下排列，右侧为状态标签留出空间
+  const textWidth = Math.min(400, width - 168);
+  let contentY = y + 20;
+
+  // 主标题
+  if (module.title) {
+    const mainTitle = createText(module.title, {
+      x: x + 24,
+      y: contentY,
+      width: textWidth
+    }, styles.text('h2', { color: "textPrimary" }));
+    layers.push(mainTitle);
+    contentY += mainTitle.frame.height + 6;
+  }
+
+  // 副标题
+  if (module.subtitle) {
+    const subTitle = createText(module.subtitle, {
+      x: x + 24,
+      y: contentY,
+      width: textWidth
+    }, styles.text('body', { color: "textSecondary" }));
+    layers.push(subTitle);
+    contentY += subTitle.frame.height + 8;
+  }
+
+  // 图标，icon 为图标库中的名称（见 icon-library.cjs）；不是图标名称时按文字显示，兼容旧配置
+  if (module.icon && hasIcon(module.icon)) {
+    layers.push(createIcon(module.icon, { x: x + 24, y: contentY, width: 20 }, {
+      color: styles.color("textSecondary"),
+      boundsStyle: styles.layer('iconBounds')
+    }));
+  } else if (module.icon) {
+    const iconText = createText(module.icon, {
+      x: x + 24,
+      y: contentY,
+      width: textWidth
+    }, styles.text('captionStrong', { color: "textSecondary" }));
+    layers.push(iconText);
+  }
+
+  // 状态标签
+  if (module.status) {
+    const statusBg = createRectangle(
+      { x: x + width - 120, y: y + 20, width: 80, height: 28 },
+      styles.layer('tag', { fill: module.statusColor, cornerRadius: 4 }),
+      "Status Tag"
+    );
+    layers.push(statusBg);
+
+    const statusText = createText(module.status, {
+      x: x + width - 120,
+      y: y + 20,
+      width: 80
+    }, styles.text('smallStrong', { color: "#FFFFFF", alignment: "center" }));
+    // 在标签内垂直居中
+    statusText.frame.y = y + 20 + (28 - statusText.frame.height) / 2;
+    layers.push(statusText);
+  }
+
+  return layers;
+}
+
+registerModule('orderHeader', renderOrderHeader, {
+  defaults: { height: 120 },
+  schema: SCHEMA
+});
+
+module.exports = { renderOrderHeader };
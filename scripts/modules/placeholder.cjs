@@ -0,0 +1,39 @@
+/**
+ * Placeholder 模块 - 通用占位矩形
+ */
+
+const { createRectangle } = require('../sketch-generator.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    name: { type: 'string' }
+  }
+};
+
+/**
+ * 渲染通用占位矩形
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderPlaceholder(module, context) {
+  const { x, y, width, styles } = context;
+
+  return [
+    createRectangle(
+      { x, y, width, height: module.height },
+      styles.layer('surface', { cornerRadius: 8 }),
+      module.name || "Placeholder"
+    )
+  ];
+}
+
+registerModule('placeholder', renderPlaceholder, {
+  defaults: { height: 100 },
+  schema: SCHEMA
+});
+
+module.exports = { renderPlaceholder };
@@ -0,0 +1,112 @@
+/**
+ * ProductGrid 模块 - 产品网格
+ */
+
+const { createRectangle, createText, createMaskGroup } = require('../sketch-generator.cjs');
+const { registerModule } = require('../module-registry.cjs');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    height: { type: 'number' },
+    sectionTitle: { type: 'string' },
+    products: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          price: { type: 'string' },
+          image: { type: ['string', 'object'] },
+          link: { type: ['string', 'object'] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 渲染产品网格
+ * @param {Object} module - 模块配置（已合并默认值）
+ * @param {Object} context - { x, y, width, colorPalette, symbols, styles, images, flows, artboardWidth }
+ * @returns {Array} 图层列表
+ */
+function renderProductGrid(module, context) {
+  const { x, y, width, styles, images, flows } = context;
+  const layers = [];
+
+  // 产品网格区域
+  const gridBg = createRectangle(
+    { x, y, width, height: module.height },
+    styles.layer('background'),
+    "Product Grid"
+  );
+  layers.push(gridBg);
+
+  // 标题
+  if (module.sectionTitle) {
+    const gridTitle = createText(module.sectionTitle, {
+      x: x + 16,
+      y: y + 16,
+      width: width - 32,
+      height: 24
+    }, styles.text('h3', { color: "textPrimary" }));
+    layers.push(gridTitle);
+  }
+
+  // 产品卡片
+  if (module.products) {
+    const cardWidth = (width - 48) / 2;
+    module.products.forEach((product, index) => {
+      const col = index % 2;
+      const row = Math.floor(index / 2);
+      const cardX = x + 16 + (col * (cardWidth + 16));
+      const cardY = y + 56 + (row * (cardWidth + 80));
+
+      // 每张卡片一个遮罩编组，圆角卡片作为遮罩，图片只在上方两个角显示圆角
+      const cardLayers = [];
+      const card = createRectangle(
+        { x: cardX, y: cardY, width: cardWidth, height: cardWidth + 60 },
+        styles.layer('card', { cornerRadius: 12 }),
+        "Card"
+      );
+
+      // 商品图片，image 为本地 PNG/JPEG 路径或 Buffer，按比例裁剪铺满卡片上方
+      if (product.image) {
+        const productImage = createRectangle(
+          { x: cardX, y: cardY, width: cardWidth, height: cardWidth },
+          styles.layer('image', { fill: images.fill(product.image) }),
+          "Image"
+        );
+        cardLayers.push(productImage);
+      }
+
+      const productName = createText(product.name || "Product", {
+        x: cardX + 12,
+        y: cardY + cardWidth + 8,
+        width: cardWidth - 24
+      }, styles.text('label', { color: "textPrimary" }));
+      cardLayers.push(productName);
+
+      // 价格紧跟在商品名称（可能换行）下方
+      const productPrice = createText(product.price || "$99", {
+        x: cardX + 12,
+        y: productName.frame.y + productName.frame.height + 2,
+        width: cardWidth - 24
+      }, styles.text('body', { color: "primary" }));
+      cardLayers.push(productPrice);
+
+      // 点击卡片跳转到商品详情等画板
+      layers.push(flows.link(createMaskGroup(`Product ${index + 1}`, card, cardLayers), product.link));
+    });
+  }
+
+  return layers;
+}
+
+registerModule('productGrid', renderProductGrid, {
+  defaults: { height: 300 },
+  schema: SCHEMA
+});
+
+module.exports = { renderProductGrid };
@@ -6,998 +6,376 @@
 
 const {
   generateUUID,
-  createRectangle,
-  createText,
   createArtboard,
   createPage,
   generateSketchDocument,
-  parseColor
+  createGroup,
+  gridColumnSpan
 } = require('./sketch-generator.cjs');
 
 const { packSketch, getFileInfo } = require('./sketch-packer.cjs');
 const LayoutValidator = require('./layout-validator.cjs');
+const { registerModule, getModule, listModules } = require('./module-registry.cjs');
+const { registerIcon, listIcons } = require('./icon-library.cjs');
+const { getConfigSchema, validateConfig, assertValidConfig, formatIssue } = require('./config-schema.cjs');
+const { createSymbolLibrary } = require('./symbol-library.cjs');
+const { createStyleLibrary } = require('./style-library.cjs');
+const { createImageLibrary } = require('./image-library.cjs');
+const { createFlowLibrary } = require('./flow-library.cjs');
+const { withIdSeed, withIdScope } = require('./id-provider.cjs');
+
+// 注册内置模块
+require('./modules/index.cjs');
+
+// 同一页面内相邻画板的水平间距
+const ARTBOARD_GAP = 100;
+
+// 模块左右边距，模块之间不留间距
+const MODULE_PADDING = 16;
 
 /**
- * 生成 Sketch JSON - 主函数
+ * 归一化页面配置
+ * 兼容旧的单画板配置（pageName/artboardSize/modules）和新的多页面配置（pages）
+ * 顶层的 grid / guides / export 作为所有画板的默认值
  * @param {Object} config - 配置对象
- * @returns {Object} 完整的 Sketch 文档 JSON
+ * @returns {Array} [{ name, artboards: [{ name, size, modules, grid, guides, export, flowHome }] }]
  */
-function generateSketchJSON(config) {
+function normalizePages(config) {
   const {
     pageName = "Design",
     artboardSize = { width: 393, height: 852 },
-    theme = "light",
-    colors = {},
     modules = []
   } = config;
 
-  // 默认颜色
+  if (!Array.isArray(config.pages) || config.pages.length === 0) {
+    return [{
+      name: pageName,
+      artboards: [{ name: pageName, size: artboardSize, modules, grid: config.grid, guides: config.guides, export: config.export }]
+    }];
+  }
+
+  return config.pages.map((page, pageIndex) => ({
+    name: page.name || `Page ${pageIndex + 1}`,
+    artboards: (page.artboards || []).map((artboard, artboardIndex) => ({
+      name: artboard.name || `Artboard ${artboardIndex + 1}`,
+      size: artboard.size || artboardSize,
+      modules: artboard.modules || [],
+      grid: artboard.grid || config.grid,
+      guides: artboard.guides || config.guides,
+      export: artboard.export || config.export,
+      flowHome: artboard.flowHome
+    }))
+  }));
+}
+
+/**
+ * 生成 Sketch JSON - 主函数
+ * 生成前按 config-schema.cjs 校验配置，存在错误时抛出并列出全部错误（如 "modules[3].columns: required"）
+ * @param {Object} config - 配置对象
+ * @param {Array} [config.pages] - 多页面配置 [{ name, artboards: [{ name, size, modules, grid, guides, export, flowHome }] }]，
+ *   flowHome 标记原型起始画板
+ * @param {Object} [config.grid] - 画板栅格 { columns, gutter, margin, width } / 方格网格 { size, thickTimes }，画板可单独覆盖
+ * @param {Object} [config.guides] - 画板参考线 { x: [], y: [] }，画板可单独覆盖
+ * @param {string|Object|Array} [config.export] - 画板导出格式，预设名称或 [{ format, scale, suffix }]，画板可单独覆盖
+ * @param {boolean} [config.useSymbols=true] - 按钮、输入框、表格行是否输出为 Symbol
+ * @param {Object} [config.typography] - 排版令牌，生成共享文本样式，见 style-library.cjs
+ * @param {Object} [config.surfaces] - 表面令牌，生成共享图层样式，见 style-library.cjs
+ * @param {Object} [config.elevations] - 投影层级令牌，表面令牌通过 elevation 引用
+ * @param {Object} [config.colors] - 调色板，每个颜色生成一个 swatch，令牌和模块中可用键名引用
+ * @param {Object} [config.gradients] - 具名渐变，生成渐变资源，填充中可用名称引用
+ * @param {string|number} [config.seed] - ID 种子，设置后同一配置生成完全相同的 JSON，见 id-provider.cjs
+ * @param {Object} [options] - 布局选项 { autoFix, fixStrategy }，见 exportSketch
+ * @returns {Object} 完整的 Sketch 文档 JSON；配置警告以不可枚举的 warnings 属性附在文档上
+ *   （如 "modules[2].titel: unknown field, did you mean \"title\"?"），不会写入 JSON
+ */
+function generateSketchJSON(config, options = {}) {
+  const { document, warnings } = generateSketch(config, options);
+  Object.defineProperty(document, 'warnings', { value: warnings.map(formatIssue), enumerable: false });
+  return document;
+}
+
+/**
+ * 校验配置并生成 Sketch JSON 及各画板的布局验证结果
+ * @returns {Object} { document, layout: [{ page, artboard, hasOverlaps, overlaps, overflows, modules, layoutReport, ... }], warnings }，
+ *   warnings 为配置校验的警告 [{ path, message }]
+ */
+function generateSketch(config, options = {}) {
+  const warnings = assertValidConfig(config);
+
+  const generated = config.seed !== undefined && config.seed !== null
+    ? withIdSeed(config.seed, () => buildSketchJSON(config, options))
+    : buildSketchJSON(config, options);
+  return { ...generated, warnings };
+}
+
+/**
+ * 生成 Sketch JSON 的实际过程
+ * 各部分在独立的 ID 作用域中生成（styles、page/artboard/module、symbols、document），
+ * 页面、画板、模块的作用域以名称（模块未命名时为类型）区分，见 stableScopeNames；
+ * 共享样式和 Symbol 的作用域以样式名称和组件 key 区分，与首次使用它们的模块无关。
+ * 设置种子时，增删一个模块不会改变其他名称或类型的模块、已有共享样式和 Symbol 的 ID；
+ * 同名称（同类型）的模块按出现顺序编号，在其前面增删同类模块会改变其后同类模块的 ID
+ */
+function buildSketchJSON(config, options) {
+  const {
+    theme = "light",
+    colors = {}
+  } = config;
+
+  // 默认颜色，配置中的其他颜色（success、warning 等）一并保留，每个颜色生成一个 swatch
   const colorPalette = {
+    ...colors,
     primary: colors.primary || "#007AFF",
     secondary: colors.secondary || "#5856D6",
     background: colors.background || (theme === "dark" ? "#1C1C1E" : "#F2F2F7"),
     surface: colors.surface || (theme === "dark" ? "#2C2C2E" : "#FFFFFF"),
     textPrimary: colors.textPrimary || (theme === "dark" ? "#FFFFFF" : "#1C1C1E"),
-    textSecondary: colors.textSecondary || "#8E8E93"
+    textSecondary: colors.textSecondary || "#8E8E93",
+    border: colors.border || (theme === "dark" ? "#3A3A3C" : "#E5E6EB")
   };
 
-  // 创建主画板
-  const artboard = createArtboard(
-    pageName,
-    artboardSize.width,
-    artboardSize.height,
-    colorPalette.background
-  );
+  // 排版和表面令牌生成共享样式
+  const styles = withIdScope('styles', () => createStyleLibrary({
+    colorPalette,
+    typography: config.typography,
+    surfaces: config.surfaces,
+    elevations: config.elevations,
+    gradients: config.gradients
+  }));
 
-  let currentY = 0;
-  const padding = 16;
-  const contentWidth = artboardSize.width - (padding * 2);
+  // 重复组件收集到 Symbols 页面
+  const symbols = config.useSymbols === false ? null : createSymbolLibrary();
 
-  // 按模块顺序生成图层
-  modules.forEach((module) => {
-    const layers = generateModule(module, {
-      x: padding,
-      y: currentY,
-      width: contentWidth,
-      colorPalette,
-      artboardWidth: artboardSize.width
+  // 模块引用的图片，打包时写入 images/ 目录
+  const images = createImageLibrary();
+
+  // 原型链接，目标画板全部生成后再解析
+  const flows = createFlowLibrary();
+
+  // 各画板的布局验证结果
+  const layout = [];
+
+  // 创建页面，同一页面内的画板从左到右依次排列
+  const pageConfigs = normalizePages(config);
+  const pageScopes = stableScopeNames('page', pageConfigs.map(page => page.name));
+  const pages = pageConfigs.map((pageConfig, pageIndex) => withIdScope(pageScopes[pageIndex], () => {
+    let currentX = 0;
+    const artboardScopes = stableScopeNames('artboard', pageConfig.artboards.map(artboard => artboard.name));
+    const artboards = pageConfig.artboards.map((artboardConfig, artboardIndex) => {
+      const generated = withIdScope(artboardScopes[artboardIndex], () =>
+        generateArtboard(artboardConfig, { colorPalette, symbols, styles, images, flows }, { x: currentX, y: 0 }, options)
+      );
+      layout.push({ page: pageConfig.name, artboard: artboardConfig.name, ...generated.layout });
+      currentX += artboardConfig.size.width + ARTBOARD_GAP;
+      return generated.artboard;
     });
-    
-    artboard.layers.push(...layers);
-    currentY += module.height || 100;
-  });
+    return createPage(pageConfig.name, artboards);
+  }));
+
+  flows.resolve();
 
-  // 创建页面
-  const page = createPage(pageName, [artboard]);
+  const symbolsPage = symbols && withIdScope('symbols', () => symbols.createSymbolsPage());
+  if (symbolsPage) {
+    pages.push(symbolsPage);
+  }
 
   // 生成完整文档
-  const document = generateSketchDocument([page]);
+  const document = withIdScope('document', () => generateSketchDocument(pages, {
+    layerStyles: styles.getLayerStyles(),
+    layerTextStyles: styles.getTextStyles(),
+    swatches: styles.getSwatches(),
+    colorAssets: styles.getColorAssets(),
+    gradientAssets: styles.getGradientAssets(),
+    images: images.getImages()
+  }));
 
-  return document;
+  return { document, layout };
 }
 
 /**
- * 生成单个模块的图层
+ * 生成单个画板及其模块图层
+ * 模块生成后按编组的实际位置验证布局，见 validateArtboardLayout
+ * @param {Object} artboardConfig - { name, size, modules, grid, guides, export, flowHome }
+ * @param {Object} shared - 文档级共享数据 { colorPalette, symbols, styles, images, flows }
+ * @param {Object} position - 画板在页面上的位置 { x, y }
+ * @param {Object} options - 布局选项 { autoFix, fixStrategy }
+ * @returns {Object} { artboard, layout }，layout 为 LayoutValidator.validate() 的结果
  */
-function generateModule(module, context) {
-  const { x, y, width, colorPalette } = context;
-  const layers = [];
-
-  switch (module.type) {
-    case 'header':
-      // 顶部导航栏背景
-      const header = createRectangle(
-        { x, y, width, height: module.height || 56 },
-        { fills: [colorPalette.surface] },
-        "Header"
-      );
-      layers.push(header);
-      
-      // 标题文字
-      if (module.title) {
-        const titleText = createText(module.title, {
-          x: x + 16,
-          y: y + 16,
-          width: width - 32,
-          height: 24
-        }, {
-          fontSize: 18,
-          fontFamily: "Roboto-Bold",
-          color: colorPalette.textPrimary,
-          alignment: "center"
-        });
-        layers.push(titleText);
-      }
-      break;
+function generateArtboard(artboardConfig, shared, position, options) {
+  const { name, size, modules, grid, guides } = artboardConfig;
+  const { colorPalette, symbols, styles, images, flows } = shared;
 
-    case 'hero':
-      // Hero 区域背景
-      const heroBg = createRectangle(
-        { x, y, width, height: module.height || 280 },
-        { fills: [colorPalette.primary] },
-        "Hero Background"
-      );
-      layers.push(heroBg);
-      
-      // 主标题
-      if (module.title) {
-        const heroTitle = createText(module.title, {
-          x: x + 24,
-          y: y + 40,
-          width: width - 48,
-          height: 36
-        }, {
-          fontSize: 28,
-          fontFamily: "Roboto-Bold",
-          color: "#FFFFFF",
-          alignment: "center"
-        });
-        layers.push(heroTitle);
-      }
-      
-      // 副标题
-      if (module.subtitle) {
-        const heroSubtitle = createText(module.subtitle, {
-          x: x + 24,
-          y: y + 84,
-          width: width - 48,
-          height: 20
-        }, {
-          fontSize: 15,
-          fontFamily: "Roboto-Regular",
-          color: "#FFFFFF",
-          alignment: "center"
-        });
-        layers.push(heroSubtitle);
-      }
-      
-      // CTA 按钮
-      if (module.cta) {
-        const ctaButton = createRectangle(
-          { x: x + width/2 - 70, y: y + 140, width: 140, height: 44 },
-          { fills: ["#FFFFFF"], cornerRadius: 22 },
-          "CTA Button"
-        );
-        layers.push(ctaButton);
-        
-        const ctaText = createText(module.cta, {
-          x: x + width/2 - 70,
-          y: y + 152,
-          width: 140,
-          height: 20
-        }, {
-          fontSize: 16,
-          fontFamily: "Roboto-Medium",
-          color: colorPalette.primary,
-          alignment: "center"
-        });
-        layers.push(ctaText);
-      }
-      break;
+  const artboard = createArtboard(
+    name,
+    size.width,
+    size.height,
+    styles.color("background"),
+    { ...position, grid, guides, export: artboardConfig.export, flowHome: artboardConfig.flowHome }
+  );
+  flows.registerArtboard(artboard);
 
-    case 'features':
-      // 功能区背景
-      const featuresBg = createRectangle(
-        { x, y, width, height: module.height || 200 },
-        { fills: [colorPalette.surface] },
-        "Features"
-      );
-      layers.push(featuresBg);
-      
-      // 标题
-      if (module.sectionTitle) {
-        const sectionTitle = createText(module.sectionTitle, {
-          x: x + 16,
-          y: y + 20,
-          width: width - 32,
-          height: 24
-        }, {
-          fontSize: 20,
-          fontFamily: "Roboto-Medium",
-          color: colorPalette.textPrimary,
-          alignment: "left"
-        });
-        layers.push(sectionTitle);
-      }
-      
-      // 功能项
-      if (module.items && Array.isArray(module.items)) {
-        module.items.forEach((item, index) => {
-          const itemY = y + 60 + (index * 48);
-          const featureItem = createText(`• ${item}`, {
-            x: x + 16,
-            y: itemY,
-            width: width - 32,
-            height: 20
-          }, {
-            fontSize: 16,
-            fontFamily: "Roboto-Regular",
-            color: colorPalette.textPrimary,
-            alignment: "left"
-          });
-          layers.push(featureItem);
-        });
-      }
-      break;
+  let currentY = 0;
+  const contentWidth = size.width - (MODULE_PADDING * 2);
+  const placed = [];
+  const moduleScopes = stableScopeNames('module', modules.map(module => module.name || module.type));
 
-    case 'productGrid':
-      // 产品网格区域
-      const gridBg = createRectangle(
-        { x, y, width, height: module.height || 300 },
-        { fills: [colorPalette.background] },
-        "Product Grid"
-      );
-      layers.push(gridBg);
-      
-      // 标题
-      if (module.sectionTitle) {
-        const gridTitle = createText(module.sectionTitle, {
-          x: x + 16,
-          y: y + 16,
-          width: width - 32,
-          height: 24
-        }, {
-          fontSize: 20,
-          fontFamily: "Roboto-Medium",
-          color: colorPalette.textPrimary
-        });
-        layers.push(gridTitle);
-      }
-      
-      // 产品卡片
-      if (module.products) {
-        const cardWidth = (width - 48) / 2;
-        module.products.forEach((product, index) => {
-          const col = index % 2;
-          const row = Math.floor(index / 2);
-          const cardX = x + 16 + (col * (cardWidth + 16));
-          const cardY = y + 56 + (row * (cardWidth + 80));
-          
-          const card = createRectangle(
-            { x: cardX, y: cardY, width: cardWidth, height: cardWidth + 60 },
-            { fills: [colorPalette.surface], cornerRadius: 12 },
-            `Product ${index + 1}`
-          );
-          layers.push(card);
-          
-          const productName = createText(product.name || "Product", {
-            x: cardX + 12,
-            y: cardY + cardWidth + 8,
-            width: cardWidth - 24,
-            height: 18
-          }, {
-            fontSize: 14,
-            fontFamily: "Roboto-Medium",
-            color: colorPalette.textPrimary
-          });
-          layers.push(productName);
-          
-          const productPrice = createText(product.price || "$99", {
-            x: cardX + 12,
-            y: cardY + cardWidth + 28,
-            width: cardWidth - 24,
-            height: 16
-          }, {
-            fontSize: 14,
-            fontFamily: "Roboto-Regular",
-            color: colorPalette.primary
-          });
-          layers.push(productPrice);
-        });
-      }
-      break;
+  // 按模块顺序生成图层
+  modules.forEach((module, moduleIndex) => {
+    const resolved = resolveModule(module);
 
-    case 'bottomNav':
-      // 底部导航
-      const bottomNav = createRectangle(
-        { x, y, width, height: module.height || 80 },
-        { fills: [colorPalette.surface] },
-        "Bottom Navigation"
-      );
-      layers.push(bottomNav);
-      
-      // 导航项
-      if (module.items) {
-        const itemWidth = width / module.items.length;
-        module.items.forEach((item, index) => {
-          const navText = createText(item, {
-            x: x + index * itemWidth,
-            y: y + 28,
-            width: itemWidth,
-            height: 24
-          }, {
-            fontSize: 12,
-            fontFamily: "Roboto-Regular",
-            color: index === 0 ? colorPalette.primary : colorPalette.textSecondary,
-            alignment: "center"
-          });
-          layers.push(navText);
-        });
+    // span: [起始列, 结束列] 时模块对齐到画板栅格的列
+    let frame = { x: MODULE_PADDING, width: contentWidth };
+    if (resolved.span) {
+      if (!artboard.layout) {
+        throw new Error(`Module "${resolved.type}" uses span but artboard "${name}" has no column grid (set grid.columns)`);
       }
-      break;
+      frame = gridColumnSpan(artboard.layout, resolved.span);
+    }
 
-    case 'loginForm':
-      // 登录表单容器
-      const loginContainer = createRectangle(
-        { x: x + width/2 - 200, y: y + 60, width: 400, height: 320 },
-        { fills: [colorPalette.surface], cornerRadius: 12 },
-        "Login Form"
-      );
-      layers.push(loginContainer);
-      
-      // 标题
-      if (module.title) {
-        const formTitle = createText(module.title, {
-          x: x + width/2 - 200,
-          y: y + 80,
-          width: 400,
-          height: 32
-        }, {
-          fontSize: 24,
-          fontFamily: "Roboto-Bold",
-          color: colorPalette.textPrimary,
-          alignment: "center"
-        });
-        layers.push(formTitle);
-      }
-      
-      // 账号输入框
-      const emailLabel = createText("Email", {
-        x: x + width/2 - 170,
-        y: y + 140,
-        width: 340,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Medium",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(emailLabel);
-      
-      const emailInput = createRectangle(
-        { x: x + width/2 - 170, y: y + 165, width: 340, height: 44 },
-        { fills: [colorPalette.background], cornerRadius: 8 },
-        "Email Input"
-      );
-      layers.push(emailInput);
-      
-      const emailPlaceholder = createText("Enter your email", {
-        x: x + width/2 - 155,
-        y: y + 179,
-        width: 310,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Regular",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(emailPlaceholder);
-      
-      // 密码输入框
-      const passwordLabel = createText("Password", {
-        x: x + width/2 - 170,
-        y: y + 225,
-        width: 340,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Medium",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(passwordLabel);
-      
-      const passwordInput = createRectangle(
-        { x: x + width/2 - 170, y: y + 250, width: 340, height: 44 },
-        { fills: [colorPalette.background], cornerRadius: 8 },
-        "Password Input"
-      );
-      layers.push(passwordInput);
-      
-      const passwordPlaceholder = createText("Enter your password", {
-        x: x + width/2 - 155,
-        y: y + 264,
-        width: 310,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Regular",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(passwordPlaceholder);
-      
-      // 按钮组
-      if (module.buttons) {
-        // 登录按钮
-        const loginBtn = createRectangle(
-          { x: x + width/2 - 170, y: y + 310, width: 160, height: 44 },
-          { fills: [colorPalette.primary], cornerRadius: 8 },
-          "Login Button"
-        );
-        layers.push(loginBtn);
-        
-        const loginBtnText = createText("Sign In", {
-          x: x + width/2 - 170,
-          y: y + 322,
-          width: 160,
-          height: 20
-        }, {
-          fontSize: 16,
-          fontFamily: "Roboto-Medium",
-          color: "#FFFFFF",
-          alignment: "center"
-        });
-        layers.push(loginBtnText);
-        
-        // 重置按钮
-        const resetBtn = createRectangle(
-          { x: x + width/2 + 10, y: y + 310, width: 160, height: 44 },
-          { fills: [colorPalette.background], cornerRadius: 8, borderColor: colorPalette.textSecondary },
-          "Reset Button"
-        );
-        layers.push(resetBtn);
-        
-        const resetBtnText = createText("Reset", {
-          x: x + width/2 + 10,
-          y: y + 322,
-          width: 160,
-          height: 20
-        }, {
-          fontSize: 16,
-          fontFamily: "Roboto-Medium",
-          color: colorPalette.textSecondary,
-          alignment: "center"
-        });
-        layers.push(resetBtnText);
-      }
-      break;
+    const group = withIdScope(moduleScopes[moduleIndex], () => generateModule(resolved, {
+      x: frame.x,
+      y: currentY,
+      width: frame.width,
+      colorPalette,
+      symbols,
+      styles,
+      images,
+      flows,
+      artboardWidth: size.width
+    }));
 
+    artboard.layers.push(group);
+    placed.push({ id: `${resolved.type}_${moduleIndex}`, type: resolved.type, group });
+    currentY += resolved.height || 100;
+  });
 
-    case 'customLoginForm':
-      // 自定义登录表单 - 包含验证码
-      const customFormContainer = createRectangle(
-        { x: x + width/2 - 160, y: y + 40, width: 320, height: 380 },
-        { fills: [colorPalette.surface], cornerRadius: 12 },
-        "Login Form"
-      );
-      layers.push(customFormContainer);
-      
-      // 标题
-      if (module.title) {
-        const customFormTitle = createText(module.title, {
-          x: x + width/2 - 160,
-          y: y + 60,
-          width: 320,
-          height: 32
-        }, {
-          fontSize: 24,
-          fontFamily: "Roboto-Bold",
-          color: colorPalette.textPrimary,
-          alignment: "center"
-        });
-        layers.push(customFormTitle);
-      }
-      
-      // 账号名字段
-      const usernameLabel = createText("账号名", {
-        x: x + width/2 - 140,
-        y: y + 110,
-        width: 280,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Medium",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(usernameLabel);
-      
-      const usernameInput = createRectangle(
-        { x: x + width/2 - 140, y: y + 135, width: 280, height: 44 },
-        { fills: [colorPalette.background], cornerRadius: 8 },
-        "Username Input"
-      );
-      layers.push(usernameInput);
-      
-      const usernamePlaceholder = createText(module.usernamePlaceholder || "请输入账号名", {
-        x: x + width/2 - 125,
-        y: y + 149,
-        width: 250,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Regular",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(usernamePlaceholder);
-      
-      // 密码字段
-      const customPasswordLabel = createText("密码", {
-        x: x + width/2 - 140,
-        y: y + 195,
-        width: 280,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Medium",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(customPasswordLabel);
-      
-      const customPasswordInput = createRectangle(
-        { x: x + width/2 - 140, y: y + 220, width: 280, height: 44 },
-        { fills: [colorPalette.background], cornerRadius: 8 },
-        "Password Input"
-      );
-      layers.push(customPasswordInput);
-      
-      const customPasswordPlaceholder = createText(module.passwordPlaceholder || "请输入密码", {
-        x: x + width/2 - 125,
-        y: y + 234,
-        width: 250,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Regular",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(customPasswordPlaceholder);
-      
-      // 验证码字段
-      const verifyCodeLabel = createText("验证码", {
-        x: x + width/2 - 140,
-        y: y + 280,
-        width: 280,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Medium",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(verifyCodeLabel);
-      
-      // 验证码输入框 (2/3 宽度)
-      const verifyCodeInput = createRectangle(
-        { x: x + width/2 - 140, y: y + 305, width: 180, height: 44 },
-        { fills: [colorPalette.background], cornerRadius: 8 },
-        "Verify Code Input"
-      );
-      layers.push(verifyCodeInput);
-      
-      const verifyCodePlaceholder = createText(module.verifyCodePlaceholder || "请输入验证码", {
-        x: x + width/2 - 125,
-        y: y + 319,
-        width: 150,
-        height: 18
-      }, {
-        fontSize: 14,
-        fontFamily: "Roboto-Regular",
-        color: colorPalette.textSecondary,
-        alignment: "left"
-      });
-      layers.push(verifyCodePlaceholder);
-      
-      // 验证码图片占位 (1/3 宽度)
-      const verifyCodeImage = createRectangle(
-        { x: x + width/2 + 50, y: y + 305, width: 90, height: 44 },
-        { fills: [colorPalette.background], cornerRadius: 8 },
-        "Verify Code Image"
-      );
-      layers.push(verifyCodeImage);
-      
-      const verifyCodeText = createText("1234", {
-        x: x + width/2 + 65,
-        y: y + 319,
-        width: 60,
-        height: 18
-      }, {
-        fontSize: 16,
-        fontFamily: "Roboto-Bold",
-        color: colorPalette.textPrimary,
-        alignment: "center"
-      });
-      layers.push(verifyCodeText);
-      
-      // 按钮组
-      const btnY = y + 365;
-      
-      // 登录按钮
-      const customLoginBtn = createRectangle(
-        { x: x + width/2 - 140, y: btnY, width: 130, height: 44 },
-        { fills: [colorPalette.primary], cornerRadius: 8 },
-        "Login Button"
-      );
-      layers.push(customLoginBtn);
-      
-      const customLoginBtnText = createText(module.loginText || "登录", {
-        x: x + width/2 - 140,
-        y: btnY + 12,
-        width: 130,
-        height: 20
-      }, {
-        fontSize: 16,
-        fontFamily: "Roboto-Medium",
-        color: "#FFFFFF",
-        alignment: "center"
-      });
-      layers.push(customLoginBtnText);
-      
-      // 重置按钮
-      const customResetBtn = createRectangle(
-        { x: x + width/2 + 10, y: btnY, width: 130, height: 44 },
-        { fills: [colorPalette.background], cornerRadius: 8 },
-        "Reset Button"
-      );
-      layers.push(customResetBtn);
-      
-      const customResetBtnText = createText(module.resetText || "重置", {
-        x: x + width/2 + 10,
-        y: btnY + 12,
-        width: 130,
-        height: 20
-      }, {
-        fontSize: 16,
-        fontFamily: "Roboto-Medium",
-        color: colorPalette.textSecondary,
-        alignment: "center"
-      });
-      layers.push(customResetBtnText);
-      break;
-    case 'orderHeader':
-      // 顶部详情卡片
-      const headerBg = createRectangle(
-        { x, y, width, height: module.height || 120 },
-        { fills: [colorPalette.surface] },
-        "Order Header"
-      );
-      layers.push(headerBg);
-      
-      // 主标题
-      if (module.title) {
-        const mainTitle = createText(module.title, {
-          x: x + 24,
-          y: y + 20,
-          width: 400,
-          height: 28
-        }, {
-          fontSize: 22,
-          fontFamily: "Roboto-Bold",
-          color: colorPalette.textPrimary,
-          alignment: "left"
-        });
-        layers.push(mainTitle);
-      }
-      
-      // 副标题
-      if (module.subtitle) {
-        const subTitle = createText(module.subtitle, {
-          x: x + 24,
-          y: y + 52,
-          width: 400,
-          height: 20
-        }, {
-          fontSize: 14,
-          fontFamily: "Roboto-Regular",
-          color: colorPalette.textSecondary,
-          alignment: "left"
-        });
-        layers.push(subTitle);
-      }
-      
-      // 图标文字
-      if (module.icon) {
-        const iconText = createText(module.icon, {
-          x: x + 24,
-          y: y + 80,
-          width: 100,
-          height: 18
-        }, {
-          fontSize: 13,
-          fontFamily: "Roboto-Medium",
-          color: colorPalette.textSecondary,
-          alignment: "left"
-        });
-        layers.push(iconText);
-      }
-      
-      // 状态标签
-      if (module.status) {
-        const statusBg = createRectangle(
-          { x: x + width - 120, y: y + 20, width: 80, height: 28 },
-          { fills: [module.statusColor || colorPalette.primary], cornerRadius: 4 },
-          "Status Tag"
-        );
-        layers.push(statusBg);
-        
-        const statusText = createText(module.status, {
-          x: x + width - 120,
-          y: y + 26,
-          width: 80,
-          height: 16
-        }, {
-          fontSize: 12,
-          fontFamily: "Roboto-Medium",
-          color: "#FFFFFF",
-          alignment: "center"
-        });
-        layers.push(statusText);
-      }
-      break;
+  const layout = validateArtboardLayout(size, placed, options);
+  return { artboard, layout };
+}
 
-    case 'collapsiblePanel':
-    case 'collapsePanel':
-      // 折叠面板容器
-      const panelBg = createRectangle(
-        { x, y, width, height: module.height || 300 },
-        { fills: [colorPalette.surface], cornerRadius: 8 },
-        "Collapsible Panel"
-      );
-      layers.push(panelBg);
-      
-      // 面板标题
-      if (module.title) {
-        const panelTitle = createText(module.title, {
-          x: x + 16,
-          y: y + 16,
-          width: width - 32,
-          height: 24
-        }, {
-          fontSize: 16,
-          fontFamily: "Roboto-Bold",
-          color: colorPalette.textPrimary,
-          alignment: "left"
-        });
-        layers.push(panelTitle);
-      }
-      
-      // 表单字段
-      if (module.fields && Array.isArray(module.fields)) {
-        const cols = 2;
-        const fieldWidth = (width - 48) / cols;
-        const fieldHeight = 36;
-        
-        module.fields.forEach((field, index) => {
-          const col = index % cols;
-          const row = Math.floor(index / cols);
-          const fieldX = x + 16 + (col * (fieldWidth + 16));
-          const fieldY = y + 52 + (row * (fieldHeight + 16));
-          
-          // 字段标签
-          const fieldLabel = createText(field.label, {
-            x: fieldX,
-            y: fieldY,
-            width: fieldWidth,
-            height: 16
-          }, {
-            fontSize: 13,
-            fontFamily: "Roboto-Medium",
-            color: colorPalette.textSecondary,
-            alignment: "left"
-          });
-          layers.push(fieldLabel);
-          
-          // 字段值/输入框
-          const fieldInput = createRectangle(
-            { x: fieldX, y: fieldY + 18, width: fieldWidth, height: 32 },
-            { fills: [colorPalette.background], cornerRadius: 4 },
-            field.label
-          );
-          layers.push(fieldInput);
-          
-          // 值文字
-          const fieldValue = createText(field.value || "", {
-            x: fieldX + 8,
-            y: fieldY + 24,
-            width: fieldWidth - 16,
-            height: 18
-          }, {
-            fontSize: 13,
-            fontFamily: "Roboto-Regular",
-            color: field.value ? colorPalette.textPrimary : colorPalette.textSecondary,
-            alignment: "left"
-          });
-          layers.push(fieldValue);
-        });
-      }
-      break;
+/**
+ * 验证画板布局
+ * 使用模块编组的外接矩形（即模块实际绘制的范围），内容超出 height 的模块会与下方模块重叠；
+ * autoFix 时按 fixStrategy 移动模块编组，只采用能减少问题的移动，结果报告移动后仍存在的问题；
+ * 编组只移动不缩放（验证器不可缩放模式，grid 策略中宽于一列的模块单独占一行）
+ * @param {Object} size - 画板尺寸 { width, height }
+ * @param {Array} placed - [{ id, type, group }]
+ * @param {Object} options - { autoFix, fixStrategy }
+ * @returns {Object} LayoutValidator.validate() 的结果
+ */
+function validateArtboardLayout(size, placed, options) {
+  const result = createLayoutValidator(size, placed).validate({
+    autoFix: options.autoFix,
+    fixStrategy: options.fixStrategy
+  });
+  if (result.wasAutoFixed) {
+    result.modules.forEach(({ x, y }, index) => {
+      const { frame } = placed[index].group;
+      frame.x = x;
+      frame.y = y;
+    });
+  }
+  return result;
+}
 
-    case 'dataTable':
-      // 数据表格容器
-      const tableBg = createRectangle(
-        { x, y, width, height: module.height || 300 },
-        { fills: [colorPalette.surface], cornerRadius: 8 },
-        "Data Table"
-      );
-      layers.push(tableBg);
-      
-      // 表格标题
-      if (module.title) {
-        const tableTitle = createText(module.title, {
-          x: x + 16,
-          y: y + 16,
-          width: width - 32,
-          height: 24
-        }, {
-          fontSize: 16,
-          fontFamily: "Roboto-Bold",
-          color: colorPalette.textPrimary,
-          alignment: "left"
-        });
-        layers.push(tableTitle);
-      }
-      
-      // 新增按钮
-      const addBtn = createRectangle(
-        { x: x + width - 100, y: y + 12, width: 80, height: 32 },
-        { fills: [colorPalette.primary], cornerRadius: 4 },
-        "Add Button"
-      );
-      layers.push(addBtn);
-      
-      const addBtnText = createText("新增", {
-        x: x + width - 100,
-        y: y + 18,
-        width: 80,
-        height: 20
-      }, {
-        fontSize: 13,
-        fontFamily: "Roboto-Medium",
-        color: "#FFFFFF",
-        alignment: "center"
-      });
-      layers.push(addBtnText);
-      
-      // 表头背景
-      const theadBg = createRectangle(
-        { x: x + 16, y: y + 52, width: width - 32, height: 40 },
-        { fills: [colorPalette.background] },
-        "Table Header"
-      );
-      layers.push(theadBg);
-      
-      // 表头列
-      if (module.columns && Array.isArray(module.columns)) {
-        let colX = x + 20;
-        module.columns.forEach((col) => {
-          const colHeader = createText(col.name, {
-            x: colX,
-            y: y + 62,
-            width: col.width,
-            height: 20
-          }, {
-            fontSize: 13,
-            fontFamily: "Roboto-Medium",
-            color: colorPalette.textSecondary,
-            alignment: "left"
-          });
-          layers.push(colHeader);
-          colX += col.width;
-        });
-      }
-      
-      // 表格行
-      if (module.rows && Array.isArray(module.rows)) {
-        module.rows.forEach((row, rowIndex) => {
-          const rowY = y + 92 + (rowIndex * 44);
-          const rowBg = rowIndex % 2 === 0 ? colorPalette.surface : colorPalette.background;
-          
-          const tableRow = createRectangle(
-            { x: x + 16, y: rowY, width: width - 32, height: 44 },
-            { fills: [rowBg] },
-            `Row ${rowIndex + 1}`
-          );
-          layers.push(tableRow);
-          
-          // 单元格
-          let cellX = x + 20;
-          if (module.hasCheckbox) {
-            const checkbox = createRectangle(
-              { x: cellX, y: rowY + 14, width: 16, height: 16 },
-              { fills: [colorPalette.border], cornerRadius: 2 },
-              "Checkbox"
-            );
-            layers.push(checkbox);
-            cellX += 30;
-          }
-          
-          if (module.hasActions) {
-            // 操作列放最后
-            row.pop();
-          }
-          
-          row.forEach((cell, colIndex) => {
-            const cellText = createText(String(cell), {
-              x: cellX,
-              y: rowY + 12,
-              width: module.columns[colIndex]?.width || 80,
-              height: 20
-            }, {
-              fontSize: 13,
-              fontFamily: "Roboto-Regular",
-              color: colorPalette.textPrimary,
-              alignment: "left"
-            });
-            layers.push(cellText);
-            cellX += module.columns[colIndex]?.width || 80;
-          });
-        });
-      }
-      break;
+/**
+ * 以模块编组的当前位置和尺寸创建布局验证器
+ */
+function createLayoutValidator(size, placed) {
+  const validator = new LayoutValidator({
+    artboardWidth: size.width,
+    artboardHeight: size.height,
+    padding: MODULE_PADDING,
+    moduleGap: 0,
+    resizable: false
+  });
+  placed.forEach(({ id, type, group }) => {
+    const { x, y, width, height } = group.frame;
+    validator.addModule({ id, type, x, y, width, height });
+  });
+  return validator;
+}
 
-    case 'actionButtons':
-      // 底部操作按钮
-      const actionBg = createRectangle(
-        { x, y, width, height: module.height || 64 },
-        { fills: [colorPalette.surface] },
-        "Action Buttons"
-      );
-      layers.push(actionBg);
-      
-      if (module.buttons && Array.isArray(module.buttons)) {
-        const btnWidth = 100;
-        const btnHeight = 40;
-        const startX = x + width - (module.buttons.length * btnWidth) - 16;
-        
-        module.buttons.forEach((btn, index) => {
-          const btnX = startX + (index * (btnWidth + 12));
-          
-          const actionBtn = createRectangle(
-            { x: btnX, y: y + 12, width: btnWidth, height: btnHeight },
-            { 
-              fills: [btn.primary ? colorPalette.primary : colorPalette.background], 
-              cornerRadius: 6,
-              borderColor: btn.primary ? colorPalette.primary : colorPalette.border
-            },
-            btn.text
-          );
-          layers.push(actionBtn);
-          
-          const btnText = createText(btn.text, {
-            x: btnX,
-            y: y + 20,
-            width: btnWidth,
-            height: 24
-          }, {
-            fontSize: 14,
-            fontFamily: "Roboto-Medium",
-            color: btn.primary ? "#FFFFFF" : colorPalette.textPrimary,
-            alignment: "center"
-          });
-          layers.push(btnText);
-        });
-      }
-      break;
+/**
+ * 为列表中的各项生成 ID 作用域名称，如 ["module:header#0", "module:hero#0", "module:hero#1"]
+ * 以名称区分，同名的项按出现顺序编号，增删其他名称的项不会改变作用域名称
+ * @param {string} prefix - 作用域前缀
+ * @param {Array} keys - 各项的名称
+ * @returns {Array} 作用域名称
+ */
+function stableScopeNames(prefix, keys) {
+  const counts = new Map();
+  return keys.map(key => {
+    const index = counts.get(key) || 0;
+    counts.set(key, index + 1);
+    return `${prefix}:${key}#${index}`;
+  });
+}
 
-    default:
-      // 通用矩形
-      const genericLayer = createRectangle(
-        { x, y, width, height: module.height || 100 },
-        { fills: [colorPalette.surface], cornerRadius: 8 },
-        module.type
-      );
-      layers.push(genericLayer);
+/**
+ * 合并模块默认配置
+ * @param {Object} module - 模块配置
+ * @returns {Object} 合并默认值后的模块配置
+ */
+function resolveModule(module) {
+  const definition = getModule(module.type);
+  if (!definition) {
+    const available = listModules().map(m => m.type).join(', ');
+    throw new Error(`Unknown module type "${module.type}". Registered types: ${available}`);
   }
+  return { ...definition.defaults, ...module };
+}
 
-  return layers;
+/**
+ * 模块编组的默认名称，如 "productGrid" -> "Product Grid"
+ */
+function moduleGroupName(type) {
+  return type
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/^./, char => char.toUpperCase());
+}
+
+/**
+ * 生成单个模块，模块的全部图层放入一个编组
+ * 渲染器通过 registerModule 注册，见 module-registry.cjs
+ * 编组名称取 module.name，默认由模块类型生成；模块级 pin、layout、export、link、opacity、blendMode、visible 和 locked
+ * （含模块默认值）作用于编组
+ * @param {Object} module - 已合并默认值的模块配置，见 resolveModule
+ * @returns {Object} 模块编组
+ */
+function generateModule(module, context) {
+  const layers = getModule(module.type).renderer(module, context);
+  const group = createGroup(module.name || moduleGroupName(module.type), layers, {
+    pin: module.pin,
+    layout: module.layout,
+    export: module.export,
+    opacity: module.opacity,
+    blendMode: module.blendMode,
+    visible: module.visible,
+    locked: module.locked
+  });
+  return context.flows.link(group, module.link);
 }
 
 /**
  * 打包并导出 Sketch 文件
+ * 生成时验证每个画板的模块布局，结果中的 hasOverlaps、overlaps、overflows、layoutReport 汇总所有画板
  * @param {Object} config - 设计配置
  * @param {string} outputDir - 输出目录（默认 workspace/sketch-output）
- * @param {Object} options - 选项
+ * @param {Object} options - 选项，另传给 packSketch
+ * @param {boolean} [options.autoFix=false] - 检测到重叠或溢出时自动移动模块
+ * @param {string} [options.fixStrategy='stack'] - 修复策略：stack（下移重叠的模块）/ grid（两列排列）
  * @returns {Object} 包含文件路径和下载信息
  */
 async function exportSketch(config, outputDir = null, options = {}) {
-  // 生成 JSON
-  const sketchJSON = generateSketchJSON(config);
+  // 生成 JSON；未声明的字段不阻止生成，作为警告随结果返回
+  const { document: sketchJSON, layout, warnings } = generateSketch(config, {
+    autoFix: options.autoFix,
+    fixStrategy: options.fixStrategy
+  });
+  
+  const pages = normalizePages(config);
+  const artboards = pages.flatMap(page => page.artboards);
   
   // 打包文件
   const filename = config.filename || 'ai-design';
@@ -1020,10 +398,23 @@ async function exportSketch(config, outputDir = null, options = {}) {
     outputDirRelative: result.baseDirRelative,
     // 文件信息
     sketchFile: sketchFile,
+    // 配置警告，如 "modules[2].titel: unknown field, did you mean \"title\"?"
+    warnings: warnings.map(formatIssue),
+    // 布局验证，问题标明所在画板
+    hasOverlaps: layout.some(artboard => artboard.hasOverlaps),
+    hasOverflows: layout.some(artboard => artboard.hasOverflows),
+    overlaps: layout.flatMap(artboard => artboard.overlaps.map(issue => ({ artboard: artboard.artboard, ...issue }))),
+    overflows: layout.flatMap(artboard => artboard.overflows.map(issue => ({ artboard: artboard.artboard, ...issue }))),
+    wasAutoFixed: layout.some(artboard => artboard.wasAutoFixed),
+    layoutReport: layout.map(artboard => `[${artboard.page} / ${artboard.artboard}]\n${artboard.layoutReport}`).join('\n\n'),
+    layout,
+    // 页面名称和画板尺寸取第一个页面和画板，模块数量为所有画板之和
     preview: {
-      pageName: config.pageName || "Design",
-      artboardSize: config.artboardSize || { width: 393, height: 852 },
-      moduleCount: config.modules?.length || 0
+      pageName: pages[0].name,
+      artboardSize: artboards.length > 0 ? artboards[0].size : null,
+      moduleCount: artboards.reduce((sum, artboard) => sum + artboard.modules.length, 0),
+      pageCount: pages.length,
+      artboardCount: artboards.length
     }
   };
 }
@@ -1032,5 +423,11 @@ async function exportSketch(config, outputDir = null, options = {}) {
 module.exports = {
   generateSketchJSON,
   exportSketch,
-  generateUUID
+  generateUUID,
+  registerModule,
+  listModules,
+  registerIcon,
+  listIcons,
+  getConfigSchema,
+  validateConfig
 };
\ No newline at end of file
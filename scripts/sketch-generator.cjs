@@ -5,18 +5,162 @@
  */
 
 const path = require('path');
+const { parseCssColor } = require('./color-parser.cjs');
+const { measureText, LINE_HEIGHT_RATIO } = require('./text-metrics.cjs');
+const { generateUUID } = require('./id-provider.cjs');
+const { parseSvgPath, pathBounds } = require('./svg-path.cjs');
 
 // Sketch 基础常量
 const SKETCH_VERSION = "74.1";
 const SKETCH_BUILD = 128920;
 
+// 渐变类型 (gradient-type.schema.yaml)
+const GRADIENT_TYPES = {
+  linear: 0,
+  radial: 1,
+  angular: 2
+};
+
+// 图片填充方式 (pattern-fill-type.schema.yaml)
+const PATTERN_FILL_TYPES = {
+  tile: 0,
+  fill: 1,
+  stretch: 2,
+  fit: 3
+};
+
+// 模糊类型 (blur-type.schema.yaml)
+const BLUR_TYPES = {
+  gaussian: 0,
+  motion: 1,
+  zoom: 2,
+  background: 3
+};
+
+// 边框位置 (border-position.schema.yaml)
+const BORDER_POSITIONS = {
+  center: 0,
+  inside: 1,
+  outside: 2
+};
+
+// 线端和拐角样式 (line-cap-style.schema.yaml / line-join-style.schema.yaml)
+const LINE_CAP_STYLES = {
+  butt: 0,
+  round: 1,
+  projecting: 2
+};
+
+const LINE_JOIN_STYLES = {
+  miter: 0,
+  round: 1,
+  bevel: 2
+};
+
+// 智能布局方向和锚点 (inferred-layout-axis.schema.yaml / inferred-layout-anchor.schema.yaml)
+const INFERRED_LAYOUT_AXES = {
+  horizontal: 0,
+  vertical: 1
+};
+
+const INFERRED_LAYOUT_ANCHORS = {
+  start: 0,
+  center: 1,
+  end: 2
+};
+
+// 导出文件格式 (export-file-format.schema.yaml)
+const EXPORT_FILE_FORMATS = ['png', 'jpg', 'tiff', 'eps', 'pdf', 'webp', 'svg'];
+
+// 导出预设，export 可直接写预设名称
+const EXPORT_PRESETS = {
+  ios: [{ scale: 1 }, { scale: 2 }, { scale: 3 }],
+  web: [{ scale: 1 }, { scale: 2 }],
+  svg: [{ format: 'svg' }],
+  pdf: [{ format: 'pdf' }]
+};
+
+// 原型转场动画 (animation-type.schema.yaml)
+const ANIMATION_TYPES = {
+  none: 0,
+  slideFromLeft: 1,
+  slideFromRight: 2,
+  slideFromBottom: 3,
+  slideFromTop: 4
+};
+
+// 布尔运算 (boolean-operation.schema.yaml)，作用于形状组内的子形状
+const BOOLEAN_OPERATIONS = {
+  none: -1,
+  union: 0,
+  subtract: 1,
+  intersect: 2,
+  difference: 3
+};
+
+// 曲线点模式 (curve-mode.schema.yaml)
+const CURVE_MODES = {
+  none: 0,
+  straight: 1,
+  mirrored: 2,
+  asymmetric: 3,
+  disconnected: 4
+};
+
+// 三角形各朝向的顶点（顺时针，0~1 坐标），down 常用作下拉箭头
+const TRIANGLE_POINTS = {
+  up: [[0.5, 0], [1, 1], [0, 1]],
+  right: [[0, 0], [1, 0.5], [0, 1]],
+  down: [[0, 0], [1, 0], [0.5, 1]],
+  left: [[1, 0], [1, 1], [0, 0.5]]
+};
+
+// 混合模式 (blend-mode.schema.yaml)
+const BLEND_MODES = {
+  normal: 0,
+  darken: 1,
+  multiply: 2,
+  colorBurn: 3,
+  lighten: 4,
+  screen: 5,
+  colorDodge: 6,
+  overlay: 7,
+  softLight: 8,
+  hardLight: 9,
+  difference: 10,
+  exclusion: 11,
+  hue: 12,
+  saturation: 13,
+  color: 14,
+  luminosity: 15,
+  plusDarker: 16,
+  plusLighter: 17
+};
+
+// 文本尺寸行为 (text-behaviour.schema.yaml)
+const TEXT_BEHAVIOURS = {
+  autoWidth: 0,
+  autoHeight: 1,
+  fixed: 2
+};
+
+// 响应式约束位：置位表示该项可变，清零表示固定（63 即全部可变、不设约束）
+const RESIZING_CONSTRAINT_BITS = {
+  right: 1,
+  width: 2,
+  left: 4,
+  bottom: 8,
+  height: 16,
+  top: 32
+};
+
 // 响应式约束值 (整数)
 const RESIZING_CONSTRAINTS = {
   NONE: 63,
-  FIXED_SIZE: 15,
-  FIXED_WIDTH: 47,
-  FIXED_HEIGHT: 31,
-  PIN_TO_ALL: 30
+  FIXED_SIZE: 45,
+  FIXED_WIDTH: 61,
+  FIXED_HEIGHT: 47,
+  PIN_TO_ALL: 18
 };
 
 
@@ -33,28 +177,161 @@ const CHINESE_FONT_MAP = {
 };
 
 /**
- * 生成 Sketch 兼容的 UUID
- */
-function generateUUID() {
-  const hex = '0123456789ABCDEF';
-  let uuid = '';
-  for (let i = 0; i < 36; i++) {
-    if (i === 8 || i === 13 || i === 18 || i === 23) {
-      uuid += '-';
-    } else if (i === 14) {
-      uuid += '4';
-    } else if (i === 19) {
-      uuid += hex[(Math.random() * 4) | 8];
-    } else {
-      uuid += hex[(Math.random() * 16) | 0];
+ * 中文文本实际显示的字体和字号
+ * createText 和共享文本样式共用，保证中文图层与其共享样式一致
+ */
+function chineseDisplayFont(fontFamily, fontSize) {
+  return {
+    fontFamily: CHINESE_FONT_MAP[fontFamily] || 'PingFangSC-Regular',
+    fontSize: Math.round(fontSize * 1.2) // 中文字体稍大
+  };
+}
+
+/**
+ * 文本对齐方式映射（paragraphStyle.alignment）
+ */
+function textAlignment(alignment) {
+  return alignment === "center" ? 2 : alignment === "right" ? 1 : 0;
+}
+
+/**
+ * 将 pin 描述编译为 resizingConstraint 位掩码
+ * @param {Object} [pin] - { left, right, top, bottom, width, height }，为 true 的项固定
+ * @returns {number} resizingConstraint，未传 pin 时为 NONE (63)
+ */
+function resolveResizingConstraint(pin) {
+  if (!pin) {
+    return RESIZING_CONSTRAINTS.NONE;
+  }
+  Object.keys(pin).forEach(key => {
+    if (!(key in RESIZING_CONSTRAINT_BITS)) {
+      throw new Error(`Unknown pin "${key}", expected one of: ${Object.keys(RESIZING_CONSTRAINT_BITS).join(', ')}`);
+    }
+  });
+  if (pin.left && pin.right && pin.width) {
+    throw new Error('Invalid pin: left, right and width cannot all be fixed');
+  }
+  if (pin.top && pin.bottom && pin.height) {
+    throw new Error('Invalid pin: top, bottom and height cannot all be fixed');
+  }
+
+  return Object.entries(RESIZING_CONSTRAINT_BITS).reduce(
+    (mask, [key, bit]) => pin[key] ? mask & ~bit : mask,
+    RESIZING_CONSTRAINTS.NONE
+  );
+}
+
+/**
+ * 为尚未设置约束的图层应用 pin，图层自身的 pin 优先
+ * @param {Array} layers - 图层列表
+ * @param {Object} [pin] - 见 resolveResizingConstraint
+ * @returns {Array} 传入的图层列表
+ */
+function applyPin(layers, pin) {
+  const constraint = resolveResizingConstraint(pin);
+  layers.forEach(layer => {
+    if (layer.resizingConstraint === RESIZING_CONSTRAINTS.NONE) {
+      layer.resizingConstraint = constraint;
+    }
+  });
+  return layers;
+}
+
+/**
+ * 创建导出格式 - 符合 export-format.schema.yaml
+ * @param {Object} spec - { format, scale, suffix, prefix }
+ * @param {string} [spec.format='png'] - png / jpg / tiff / eps / pdf / webp / svg
+ * @param {number} [spec.scale=1] - 导出倍率
+ * @param {string} [spec.suffix] - 文件名后缀，默认倍率不为 1 时为 "@2x" 形式
+ * @param {string} [spec.prefix] - 文件名前缀，设置后忽略 suffix
+ */
+function createExportFormat(spec = {}) {
+  const format = spec.format || 'png';
+  if (!EXPORT_FILE_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}", expected one of: ${EXPORT_FILE_FORMATS.join(', ')}`);
+  }
+  const scale = spec.scale !== undefined ? spec.scale : 1;
+  if (!(scale > 0)) {
+    throw new Error(`Invalid export scale ${scale}: must be greater than 0`);
+  }
+
+  let name = spec.suffix !== undefined ? spec.suffix : (scale === 1 ? '' : `@${scale}x`);
+  let namingScheme = 0;
+  if (spec.prefix !== undefined) {
+    name = spec.prefix;
+    namingScheme = 2;
+  }
+
+  return {
+    _class: "exportFormat",
+    absoluteSize: 0,
+    fileFormat: format,
+    name: name,
+    namingScheme: namingScheme,
+    scale: scale,
+    visibleScaleType: 0
+  };
+}
+
+/**
+ * 创建导出选项 - 符合 export-options.schema.yaml
+ * @param {string|Object|Array} [spec] - 预设名称（ios / web / svg / pdf）、单个导出格式或导出格式列表
+ */
+function createExportOptions(spec) {
+  let formats = [];
+  if (typeof spec === 'string') {
+    if (!EXPORT_PRESETS[spec]) {
+      throw new Error(`Unknown export preset "${spec}", expected one of: ${Object.keys(EXPORT_PRESETS).join(', ')}`);
     }
+    formats = EXPORT_PRESETS[spec];
+  } else if (Array.isArray(spec)) {
+    formats = spec;
+  } else if (spec) {
+    formats = [spec];
+  }
+
+  return {
+    _class: "exportOptions",
+    exportFormats: formats.map(createExportFormat),
+    includedLayerIds: [],
+    layerOptions: 0,
+    shouldTrim: false
+  };
+}
+
+/**
+ * 解析布尔运算名称
+ * @param {string} [operation] - union / subtract / intersect / difference，不传时为 none
+ */
+function resolveBooleanOperation(operation = "none") {
+  const value = BOOLEAN_OPERATIONS[operation];
+  if (value === undefined) {
+    throw new Error(`Unknown boolean operation "${operation}", expected one of: ${Object.keys(BOOLEAN_OPERATIONS).join(', ')}`);
   }
-  return uuid.toUpperCase();
+  return value;
+}
+
+/**
+ * 创建不透明度与混合模式 - 符合 graphics-context-settings.schema.yaml
+ * 用于图层样式、填充和边框
+ * @param {Object} [spec] - { opacity: 0 ~ 1, blendMode: 'normal' | 'multiply' | 'screen' | ... }
+ */
+function createContextSettings(spec = {}) {
+  const opacity = spec.opacity !== undefined ? spec.opacity : 1.0;
+  if (typeof opacity !== 'number' || !(opacity >= 0 && opacity <= 1)) {
+    throw new Error(`Invalid opacity ${JSON.stringify(opacity)}: expected a number between 0 and 1`);
+  }
+  const blendMode = BLEND_MODES[spec.blendMode || "normal"];
+  if (blendMode === undefined) {
+    throw new Error(`Unknown blend mode "${spec.blendMode}", expected one of: ${Object.keys(BLEND_MODES).join(', ')}`);
+  }
+  return { _class: "graphicsContextSettings", blendMode: blendMode, opacity: opacity };
 }
 
 /**
  * 创建基础图层框架
  * 符合 abstract-layer.schema.yaml
+ * @param {Object} [options] - { constrainProportions, pin, export, booleanOperation, visible, locked }
  */
 function createLayerBase(classType, frame, options = {}) {
   return {
@@ -68,23 +345,17 @@ function createLayerBase(classType, frame, options = {}) {
       height: frame.height,
       constrainProportions: options.constrainProportions || false
     },
-    resizingConstraint: RESIZING_CONSTRAINTS.NONE,
+    resizingConstraint: resolveResizingConstraint(options.pin),
     resizingType: 0,
     rotation: 0,
     shouldBreakMaskChain: false,
-    booleanOperation: -1,
-    exportOptions: {
-      _class: "exportOptions",
-      exportFormats: [],
-      includedLayerIds: [],
-      layerOptions: 0,
-      shouldTrim: false
-    },
+    booleanOperation: resolveBooleanOperation(options.booleanOperation),
+    exportOptions: createExportOptions(options.export),
     isFixedToViewport: false,
     isFlippedHorizontal: false,
     isFlippedVertical: false,
-    isLocked: false,
-    isVisible: true,
+    isLocked: Boolean(options.locked),
+    isVisible: options.visible !== false,
     isTemplate: false,
     layerListExpandedType: 0,
     nameIsFixed: false
@@ -92,96 +363,489 @@ function createLayerBase(classType, frame, options = {}) {
 }
 
 /**
- * 创建矩形 - 符合 Sketch 格式
- * 使用 4 个基础角点，保留圆角逻辑
+ * 归一化圆角为 [左上, 右上, 右下, 左下]
+ * @param {number|Array} cornerRadius - 统一圆角，或 [tl, tr, br, bl]
  */
-function createRectangle(frame, style = {}, name = "Rectangle") {
-  const cornerRadius = style.cornerRadius || 0;
-  const layer = createLayerBase("rectangle", frame, { constrainProportions: style.constrainProportions || false });
+function normalizeCornerRadius(cornerRadius) {
+  if (Array.isArray(cornerRadius)) {
+    if (cornerRadius.length !== 4 || !cornerRadius.every(radius => typeof radius === 'number' && radius >= 0)) {
+      throw new Error(`Invalid cornerRadius [${cornerRadius.join(', ')}]: expected [topLeft, topRight, bottomRight, bottomLeft] with non-negative numbers`);
+    }
+    return cornerRadius;
+  }
+  const radius = cornerRadius || 0;
+  return [radius, radius, radius, radius];
+}
+
+/**
+ * 创建形状图层的公共部分 - 符合 abstract-shape-layer.schema.yaml
+ * style 为 createStyle 的参数，另支持 pin、export、booleanOperation、visible、locked、sharedStyleID
+ */
+function createShapeLayerBase(classType, frame, style, name) {
+  const layer = createLayerBase(classType, frame, {
+    constrainProportions: style.constrainProportions || false,
+    pin: style.pin,
+    export: style.export,
+    booleanOperation: style.booleanOperation,
+    visible: style.visible,
+    locked: style.locked
+  });
   layer.name = name;
   layer.edited = false;
   layer.isClosed = true;
   layer.pointRadiusBehaviour = 1;
   layer.hasClippingMask = false;
   layer.clippingMaskMode = 0;
-  layer.fixedRadius = cornerRadius;
+  layer.style = createStyle(style);
+  if (style.sharedStyleID) {
+    layer.sharedStyleID = style.sharedStyleID;
+  }
+  return layer;
+}
+
+/**
+ * 创建矩形 - 符合 Sketch 格式
+ * 使用 4 个基础角点，保留圆角逻辑
+ * style.cornerRadius 可以是统一圆角，也可以是 [左上, 右上, 右下, 左下]；style.pin 为响应式约束，style.export 为导出格式；
+ * style.booleanOperation 为放入形状组时与下方形状的布尔运算；style.opacity / style.blendMode 作用于整个图层，
+ * style.visible / style.locked 控制图层隐藏与锁定
+ */
+function createRectangle(frame, style = {}, name = "Rectangle") {
+  const corners = normalizeCornerRadius(style.cornerRadius);
+  const isUniform = corners.every(radius => radius === corners[0]);
+  const layer = createShapeLayerBase("rectangle", frame, style, name);
+  // 各角圆角不同时 fixedRadius 置 0，以角点上的 cornerRadius 为准
+  layer.fixedRadius = isUniform ? corners[0] : 0;
   layer.hasConvertedToNewRoundCorners = true;
   layer.needsConvertionToNewRoundCorners = false;
 
-  // 使用 4 个基础角点（符合 Sketch 验证）
+  // 使用 4 个基础角点（符合 Sketch 验证），顺序为左上、右上、右下、左下
+  layer.points = ["{0, 0}", "{1, 0}", "{1, 1}", "{0, 1}"].map((point, index) => ({
+    _class: "curvePoint",
+    cornerRadius: corners[index],
+    curveFrom: point,
+    curveMode: 1,
+    curveTo: point,
+    hasCurveFrom: false,
+    hasCurveTo: false,
+    point: point
+  }));
+  return layer;
+}
+
+// 椭圆贝塞尔控制点的 0~1 坐标：控制点距端点为半径的 4 * (sqrt(2) - 1) / 3 倍
+const OVAL_CONTROL_NEAR = 0.22385762510000001;
+const OVAL_CONTROL_FAR = 0.77614237490000004;
+
+/**
+ * 创建椭圆 - 符合 oval.schema.yaml
+ * 宽高相等时为圆形，常用作头像遮罩
+ * @param {Object} frame - 位置和尺寸
+ * @param {Object} [style] - createStyle 的参数，另支持 pin、export、booleanOperation、visible、locked、sharedStyleID
+ * @param {string} [name] - 图层名称
+ */
+function createOval(frame, style = {}, name = "Oval") {
+  const layer = createShapeLayerBase("oval", frame, style, name);
+
+  // 下、右、上、左 4 个点，每段为一条三次贝塞尔曲线
+  const near = OVAL_CONTROL_NEAR;
+  const far = OVAL_CONTROL_FAR;
   layer.points = [
-    { _class: "curvePoint", cornerRadius: cornerRadius, curveFrom: "{0, 0}", curveMode: 1, curveTo: "{0, 0}", hasCurveFrom: false, hasCurveTo: false, point: "{0, 0}" },
-    { _class: "curvePoint", cornerRadius: cornerRadius, curveFrom: "{1, 0}", curveMode: 1, curveTo: "{1, 0}", hasCurveFrom: false, hasCurveTo: false, point: "{1, 0}" },
-    { _class: "curvePoint", cornerRadius: cornerRadius, curveFrom: "{1, 1}", curveMode: 1, curveTo: "{1, 1}", hasCurveFrom: false, hasCurveTo: false, point: "{1, 1}" },
-    { _class: "curvePoint", cornerRadius: cornerRadius, curveFrom: "{0, 1}", curveMode: 1, curveTo: "{0, 1}", hasCurveFrom: false, hasCurveTo: false, point: "{0, 1}" }
-  ];
+    { point: "{0.5, 1}", curveFrom: `{${far}, 1}`, curveTo: `{${near}, 1}` },
+    { point: "{1, 0.5}", curveFrom: `{1, ${near}}`, curveTo: `{1, ${far}}` },
+    { point: "{0.5, 0}", curveFrom: `{${near}, 0}`, curveTo: `{${far}, 0}` },
+    { point: "{0, 0.5}", curveFrom: `{0, ${far}}`, curveTo: `{0, ${near}}` }
+  ].map(({ point, curveFrom, curveTo }) => ({
+    _class: "curvePoint",
+    cornerRadius: 0,
+    curveFrom: curveFrom,
+    curveMode: 2,
+    curveTo: curveTo,
+    hasCurveFrom: true,
+    hasCurveTo: true,
+    point: point
+  }));
+  return layer;
+}
 
-  layer.style = createStyle(style);
+function toPointXY(point) {
+  return Array.isArray(point) ? { x: point[0], y: point[1] } : point;
+}
+
+/**
+ * 根据控制点推断曲线点模式：无控制点为直角点，两侧控制点关于该点对称为 mirrored，否则为 disconnected
+ */
+function resolveCurveMode(point, curveFrom, curveTo) {
+  if (!curveFrom && !curveTo) {
+    return CURVE_MODES.straight;
+  }
+  if (curveFrom && curveTo) {
+    const p = toPointXY(point);
+    const from = toPointXY(curveFrom);
+    const to = toPointXY(curveTo);
+    if (Math.abs(from.x + to.x - 2 * p.x) < 1e-6 && Math.abs(from.y + to.y - 2 * p.y) < 1e-6) {
+      return CURVE_MODES.mirrored;
+    }
+  }
+  return CURVE_MODES.disconnected;
+}
+
+/**
+ * 创建曲线点 - 符合 curve-point.schema.yaml
+ * 坐标为相对图层的 0~1 比例，可以写 { x, y } 或 [x, y]
+ * @param {Object} spec - { point, curveFrom, curveTo, cornerRadius }
+ *   curveFrom 为离开该点的控制点，curveTo 为进入该点的控制点，都不传时为直角点
+ */
+function createCurvePoint(spec) {
+  const point = formatPoint(spec.point);
+  if (!point) {
+    throw new Error(`Invalid curve point ${JSON.stringify(spec)}: expected { point: [x, y], curveFrom, curveTo }`);
+  }
+  return {
+    _class: "curvePoint",
+    cornerRadius: spec.cornerRadius || 0,
+    curveFrom: formatPoint(spec.curveFrom, point),
+    curveMode: resolveCurveMode(spec.point, spec.curveFrom, spec.curveTo),
+    curveTo: formatPoint(spec.curveTo, point),
+    hasCurveFrom: Boolean(spec.curveFrom),
+    hasCurveTo: Boolean(spec.curveTo),
+    point: point
+  };
+}
+
+/**
+ * 多边形、星形和三角形只支持统一圆角，作用于每个顶点
+ */
+function uniformCornerRadius(style, name) {
+  const radius = style.cornerRadius || 0;
+  if (typeof radius !== 'number' || radius < 0) {
+    throw new Error(`Invalid cornerRadius for "${name}": expected a non-negative number`);
+  }
+  return radius;
+}
+
+/**
+ * 以图层中心为圆心、从正上方顺时针取点，并缩放到铺满 0~1 的外接矩形
+ * @param {Array} vertices - [{ turn: 0~1 圈, radius: 0~1 }]
+ */
+function radialPoints(vertices) {
+  const points = vertices.map(({ turn, radius }) => ({
+    x: radius * Math.sin(2 * Math.PI * turn),
+    y: -radius * Math.cos(2 * Math.PI * turn)
+  }));
+  const minX = Math.min(...points.map(p => p.x));
+  const minY = Math.min(...points.map(p => p.y));
+  const width = Math.max(...points.map(p => p.x)) - minX;
+  const height = Math.max(...points.map(p => p.y)) - minY;
+  return points.map(p => ({ x: (p.x - minX) / width, y: (p.y - minY) / height }));
+}
+
+/**
+ * 创建正多边形 - 符合 polygon.schema.yaml
+ * 第一个顶点位于正上方，顶点铺满图层外接矩形
+ * @param {Object} frame - 位置和尺寸
+ * @param {number} [sides=5] - 边数，至少为 3
+ * @param {Object} [style] - 同 createOval，cornerRadius 为每个顶点的圆角
+ * @param {string} [name] - 图层名称
+ */
+function createPolygon(frame, sides = 5, style = {}, name = "Polygon") {
+  if (!Number.isInteger(sides) || sides < 3) {
+    throw new Error(`Invalid polygon sides ${sides}: expected an integer of at least 3`);
+  }
+  const cornerRadius = uniformCornerRadius(style, name);
+  const layer = createShapeLayerBase("polygon", frame, style, name);
+  layer.numberOfPoints = sides;
+  layer.points = radialPoints(Array.from({ length: sides }, (_, i) => ({ turn: i / sides, radius: 1 })))
+    .map(point => createCurvePoint({ point, cornerRadius }));
+  return layer;
+}
+
+/**
+ * 创建星形 - 符合 star.schema.yaml
+ * 外顶点与内顶点交替，第一个外顶点位于正上方
+ * @param {Object} frame - 位置和尺寸
+ * @param {number} [points=5] - 角数，至少为 3
+ * @param {number} [radius=0.5] - 内顶点半径与外顶点半径之比，0 ~ 1
+ * @param {Object} [style] - 同 createOval，cornerRadius 为每个顶点的圆角
+ * @param {string} [name] - 图层名称
+ */
+function createStar(frame, points = 5, radius = 0.5, style = {}, name = "Star") {
+  if (!Number.isInteger(points) || points < 3) {
+    throw new Error(`Invalid star points ${points}: expected an integer of at least 3`);
+  }
+  if (typeof radius !== 'number' || !(radius > 0 && radius <= 1)) {
+    throw new Error(`Invalid star radius ${radius}: expected a number greater than 0 and at most 1`);
+  }
+  const cornerRadius = uniformCornerRadius(style, name);
+  const layer = createShapeLayerBase("star", frame, style, name);
+  layer.numberOfPoints = points;
+  layer.radius = radius;
+  const vertices = [];
+  for (let i = 0; i < points; i++) {
+    vertices.push({ turn: i / points, radius: 1 }, { turn: (i + 0.5) / points, radius: radius });
+  }
+  layer.points = radialPoints(vertices).map(point => createCurvePoint({ point, cornerRadius }));
+  return layer;
+}
+
+/**
+ * 创建三角形 - 符合 triangle.schema.yaml
+ * 顶点铺满图层外接矩形，direction 为尖角朝向，如下拉箭头使用 down
+ * @param {Object} frame - 位置和尺寸
+ * @param {string} [direction='up'] - up / right / down / left
+ * @param {Object} [style] - 同 createOval，cornerRadius 为每个顶点的圆角
+ * @param {string} [name] - 图层名称
+ */
+function createTriangle(frame, direction = "up", style = {}, name = "Triangle") {
+  const vertices = TRIANGLE_POINTS[direction];
+  if (!vertices) {
+    throw new Error(`Unknown triangle direction "${direction}", expected one of: ${Object.keys(TRIANGLE_POINTS).join(', ')}`);
+  }
+  const cornerRadius = uniformCornerRadius(style, name);
+  const layer = createShapeLayerBase("triangle", frame, style, name);
+  layer.isEquilateral = false;
+  layer.points = vertices.map(point => createCurvePoint({ point, cornerRadius }));
   return layer;
 }
 
+/**
+ * 创建矢量路径 - 符合 shape-path.schema.yaml
+ * @param {Object} frame - 位置和尺寸
+ * @param {Array|Object} path - 曲线点数组（闭合路径），或 { points, closed }；
+ *   每个点为 [x, y] 或 createCurvePoint 的参数 { point, curveFrom, curveTo, cornerRadius }，坐标为相对图层的 0~1 比例
+ * @param {Object} [style] - 同 createOval；开放路径（如分隔线）通常只设置 borders
+ * @param {string} [name] - 图层名称
+ */
+function createShapePath(frame, path, style = {}, name = "Path") {
+  const { points, closed = true } = Array.isArray(path) ? { points: path } : (path || {});
+  if (!Array.isArray(points) || points.length < 2) {
+    throw new Error(`Shape path "${name}" needs at least 2 points`);
+  }
+  const layer = createShapeLayerBase("shapePath", frame, style, name);
+  layer.isClosed = closed;
+  layer.points = points.map(point => createCurvePoint(Array.isArray(point) ? { point } : point));
+  return layer;
+}
+
+/**
+ * 解析 SVG path 并换算到画布坐标，每个子路径返回 createShapePath 所需的 { bounds, path }
+ */
+function svgPathShapes(d, frame, name) {
+  const viewBox = frame.viewBox || [0, 0, frame.width, frame.height];
+  const scaleX = viewBox[2] && frame.width ? frame.width / viewBox[2] : 1;
+  const scaleY = viewBox[3] && frame.height ? frame.height / viewBox[3] : 1;
+  const transform = (point) => point && {
+    x: frame.x + (point.x - viewBox[0]) * scaleX,
+    y: frame.y + (point.y - viewBox[1]) * scaleY
+  };
+
+  const subpaths = parseSvgPath(d).map(({ nodes, closed }) => ({
+    closed,
+    nodes: nodes.map(node => ({
+      ...transform(node),
+      curveFrom: transform(node.curveFrom),
+      curveTo: transform(node.curveTo)
+    }))
+  }));
+  if (subpaths.length === 0) {
+    throw new Error(`SVG path "${name}" has no drawable segments`);
+  }
+
+  // 子路径坐标换算为相对其外接矩形的 0~1 比例；水平线、竖线等宽或高为 0 时该方向取 0
+  return subpaths.map(subpath => {
+    const bounds = pathBounds([subpath]);
+    const relative = (point) => point && [
+      (point.x - bounds.x) / (bounds.width || 1),
+      (point.y - bounds.y) / (bounds.height || 1)
+    ];
+    const points = subpath.nodes.map(node => ({
+      point: relative(node),
+      curveFrom: relative(node.curveFrom),
+      curveTo: relative(node.curveTo)
+    }));
+    return { bounds, path: { points, closed: subpath.closed } };
+  });
+}
+
+/**
+ * 由 SVG path 的 d 属性创建矢量图层
+ * 只有一个子路径时返回 shapePath；多个子路径时返回形状组，之后的子路径以 difference 合并，
+ * 效果等同 evenodd 填充规则（如图标中的镂空）
+ * @param {string} d - SVG path 数据，支持 M L H V C S Q T A Z 及相对坐标
+ * @param {Object} frame - { x, y, width, height, viewBox: [minX, minY, width, height] }
+ *   viewBox 区域缩放到 frame 的位置和尺寸，不传 viewBox 时按 1:1 绘制在 (x, y)；图层大小取路径的实际外接矩形
+ * @param {Object} [style] - 同 createOval
+ * @param {string} [name] - 图层名称
+ */
+function createSVGPath(d, frame, style = {}, name = "Path") {
+  const shapes = svgPathShapes(d, frame, name);
+  if (shapes.length === 1) {
+    return createShapePath(shapes[0].bounds, shapes[0].path, style, name);
+  }
+  const { pin, export: exportSpec, booleanOperation, visible, locked, ...shapeStyle } = style;
+  return createShapeGroup(name, shapes.map(({ bounds, path }, index) => createShapePath(
+    bounds,
+    path,
+    { booleanOperation: index === 0 ? "none" : "difference" },
+    `Path ${index + 1}`
+  )), shapeStyle, { pin, export: exportSpec, booleanOperation, visible, locked });
+}
+
+/**
+ * 由 SVG path 创建独立的矢量图层，每个子路径一个 shapePath、各自使用 style 绘制，不做布尔运算
+ * 用于描边图标等各笔画分别描边的图形，参数同 createSVGPath
+ * @returns {Array} shapePath 图层列表，多个子路径时命名为 "name 1"、"name 2"…
+ */
+function createSVGPathLayers(d, frame, style = {}, name = "Path") {
+  const shapes = svgPathShapes(d, frame, name);
+  return shapes.map(({ bounds, path }, index) =>
+    createShapePath(bounds, path, style, shapes.length === 1 ? name : `${name} ${index + 1}`));
+}
+
+/**
+ * 归一化文本内容为样式片段列表
+ * @param {string|Array} text - 纯文本，或片段数组 [{ text, fontFamily, fontSize, color, underline, strikethrough }]
+ */
+function normalizeTextRuns(text) {
+  if (typeof text === 'string') {
+    return [{ text }];
+  }
+  if (!Array.isArray(text)) {
+    throw new Error(`Invalid text: expected a string or an array of runs, got ${typeof text}`);
+  }
+  text.forEach((run, index) => {
+    if (!run || typeof run.text !== 'string') {
+      throw new Error(`Invalid text run at index ${index}: expected { text: string }`);
+    }
+  });
+  return text;
+}
+
+/**
+ * 截取字符串前 maxLength 个 UTF-16 单元，不拆开代理对（emoji 等）
+ */
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const code = text.charCodeAt(maxLength - 1);
+  const end = code >= 0xD800 && code <= 0xDBFF ? maxLength - 1 : maxLength;
+  return text.substring(0, end);
+}
+
+/**
+ * 根据估算的文本尺寸计算文本框
+ * autoHeight 保持宽度、按换行后的行数计算高度；autoWidth 按最长一行计算宽度，
+ * 并按对齐方式在原宽度内定位；fixed 使用传入的尺寸
+ */
+function measureTextFrame(runs, frame, { sizing, fontFamily, fontSize, alignment }) {
+  if (sizing === "fixed") {
+    return frame;
+  }
+
+  if (sizing === "autoWidth") {
+    const { width, height } = measureText(runs, { fontFamily, fontSize });
+    const offset = alignment === "center" ? (frame.width - width) / 2
+      : alignment === "right" ? frame.width - width
+      : 0;
+    return { x: frame.x + (frame.width !== undefined ? offset : 0), y: frame.y, width, height };
+  }
+
+  const { height } = measureText(runs, { fontFamily, fontSize, maxWidth: frame.width });
+  return { x: frame.x, y: frame.y, width: frame.width, height };
+}
+
 /**
  * 创建文本图层 - 符合 Figma 导出的格式
  * 重要：同时生成 attributedString 和 style.textStyle，确保平台兼容
+ * @param {string|Array} text - 纯文本，或样式片段数组 [{ text, fontFamily, fontSize, color, underline, strikethrough }]，
+ *   片段未指定的属性继承 style
+ * @param {Object} frame - 位置和尺寸；autoHeight 时 height、autoWidth 时 width 由文本估算
+ * @param {Object} [style] - { fontFamily, fontSize, color, alignment, sizing, pin, export, sharedStyleID, chineseSharedStyleID }
+ *   chineseSharedStyleID 为返回共享样式 ID 的函数，文本包含中文时代替 sharedStyleID 使用
+ *   sizing: "autoHeight"（默认，固定宽度自动换行）/ "autoWidth"（单行自动宽度）/ "fixed"（固定尺寸）
  */
 function createText(text, frame, style = {}) {
-  const layer = createLayerBase("text", frame);
-  layer.name = text.substring(0, 30) || "Text";
+  const runs = normalizeTextRuns(text);
+  const string = runs.map(run => run.text).join('');
 
   const color = style.color ? parseColor(style.color) : { _class: "color", red: 0, green: 0, blue: 0, alpha: 1 };
   const fontSize = style.fontSize || 16;
   const fontFamily = style.fontFamily || "Roboto-Regular";
 
-  const alignment = style.alignment === "center" ? 2 : style.alignment === "right" ? 1 : 0;
+  const sizing = style.sizing || "autoHeight";
+  if (TEXT_BEHAVIOURS[sizing] === undefined) {
+    throw new Error(`Unknown text sizing "${sizing}", expected one of: ${Object.keys(TEXT_BEHAVIOURS).join(', ')}`);
+  }
 
   // 检查是否包含中文字符
-  const hasChinese = /[\u4e00-\u9fa5]/.test(text);
+  const hasChinese = /[\u4e00-\u9fa5]/.test(string);
 
   // 获取用于显示的字体（style.textStyle 用）
   let displayFontFamily = fontFamily;
   let displayFontSize = fontSize;
   if (hasChinese) {
-    displayFontFamily = CHINESE_FONT_MAP[fontFamily] || 'PingFangSC-Regular';
-    displayFontSize = Math.round(fontSize * 1.2); // 中文字体稍大
+    ({ fontFamily: displayFontFamily, fontSize: displayFontSize } = chineseDisplayFont(fontFamily, fontSize));
   }
 
-  layer.attributedString = {
-    _class: "attributedString",
-    string: text,
-    attributes: [
-      {
+  // 按实际显示的字体和字号估算文本框
+  const layer = createLayerBase("text", measureTextFrame(runs, frame, {
+    sizing,
+    fontFamily: displayFontFamily,
+    fontSize: displayFontSize,
+    alignment: style.alignment
+  }), { pin: style.pin, export: style.export, visible: style.visible, locked: style.locked });
+  layer.name = truncateText(string, 30) || "Text";
+
+  const alignment = textAlignment(style.alignment);
+
+  // 每个片段生成一个 stringAttribute
+  // location/length 以 UTF-16 单元计（与 NSString 一致），JS 字符串的 length 即 UTF-16 长度，emoji 占 2 个单元
+  // 空文本保留一个长度为 0 的片段
+  let location = 0;
+  const styledRuns = runs.filter(run => run.text.length > 0);
+  const attributes = (styledRuns.length > 0 ? styledRuns : [runs[0] || { text: '' }])
+    .map(run => {
+      const runFontSize = run.fontSize || fontSize;
+      const attribute = {
         _class: "stringAttribute",
-        location: 0,
-        length: text.length,
+        location: location,
+        length: run.text.length,
         attributes: {
           MSAttributedStringFontAttribute: {
             _class: "fontDescriptor",
             attributes: {
-              name: fontFamily,
-              size: fontSize
+              name: run.fontFamily || fontFamily,
+              size: runFontSize
             }
           },
           kerning: 0.0,
-          MSAttributedStringColorAttribute: color,
+          MSAttributedStringColorAttribute: run.color ? parseColor(run.color) : { ...color },
           paragraphStyle: {
             _class: "paragraphStyle",
             alignment: alignment,
-            maximumLineHeight: fontSize * 1.2,
-            minimumLineHeight: fontSize * 1.2,
+            // 按片段字号设置行高，Sketch 取同一行中最大的行高
+            maximumLineHeight: runFontSize * LINE_HEIGHT_RATIO,
+            minimumLineHeight: runFontSize * LINE_HEIGHT_RATIO,
             paragraphSpacing: 0,
             lineHeightMultiple: 1.2,
             allowsDefaultTighteningForTruncation: 0
           },
           textStyleVerticalAlignmentKey: 2,
           MSAttributedStringTextTransformAttribute: 0,
-          underlineStyle: 0,
-          strikethroughStyle: 0
+          underlineStyle: run.underline ? 1 : 0,
+          strikethroughStyle: run.strikethrough ? 1 : 0
         }
-      }
-    ]
+      };
+      location += run.text.length;
+      return attribute;
+    });
+
+  layer.attributedString = {
+    _class: "attributedString",
+    string: string,
+    attributes: attributes
   };
 
-  layer.textBehaviour = 0;
+  layer.textBehaviour = TEXT_BEHAVIOURS[sizing];
   layer.glyphBounds = "";
   layer.lineSpacingBehaviour = 1;
   layer.automaticallyDrawOnUnderlyingPath = false;
@@ -198,36 +862,140 @@ function createText(text, frame, style = {}) {
     fontFamily: displayFontFamily,
     displayFontSize: displayFontSize,
     alignment: alignment,
-    verticalAlignment: verticalAlignment
+    verticalAlignment: verticalAlignment,
+    opacity: style.opacity,
+    blendMode: style.blendMode
   };
 
   layer.style = createStyle(styleOptions);
+  // 中文文本关联按显示字体生成的共享样式
+  const sharedStyleID = hasChinese && style.chineseSharedStyleID ? style.chineseSharedStyleID() : style.sharedStyleID;
+  if (sharedStyleID) {
+    layer.sharedStyleID = sharedStyleID;
+  }
 
   return layer;
 }
 
+/**
+ * 创建阴影 / 内阴影 - 符合 shadow.schema.yaml 和 inner-shadow.schema.yaml
+ * @param {string} classType - "shadow" 或 "innerShadow"
+ * @param {Object} spec - { offsetX, offsetY, blur, spread, color, opacity }
+ *   color 默认 15% 黑色，opacity 为整个阴影的不透明度
+ */
+function createShadow(classType, spec = {}) {
+  return {
+    _class: classType,
+    isEnabled: spec.isEnabled !== false,
+    blurRadius: spec.blur !== undefined ? spec.blur : 12,
+    color: spec.color ? parseColor(spec.color) : { _class: "color", red: 0, green: 0, blue: 0, alpha: 0.15 },
+    contextSettings: {
+      _class: "graphicsContextSettings",
+      blendMode: 0,
+      opacity: spec.opacity !== undefined ? spec.opacity : 1.0
+    },
+    offsetX: spec.offsetX || 0,
+    offsetY: spec.offsetY !== undefined ? spec.offsetY : 4,
+    spread: spec.spread || 0
+  };
+}
+
+/**
+ * 创建模糊 - 符合 blur.schema.yaml
+ * 未传入 spec 时返回禁用的高斯模糊
+ * @param {Object} [spec] - { type: 'gaussian' | 'motion' | 'zoom' | 'background', radius, saturation, motionAngle, center }
+ */
+function createBlur(spec) {
+  const blur = spec || { isEnabled: false };
+  const type = BLUR_TYPES[blur.type || "gaussian"];
+  if (type === undefined) {
+    throw new Error(`Unknown blur type "${blur.type}", expected one of: ${Object.keys(BLUR_TYPES).join(', ')}`);
+  }
+
+  return {
+    _class: "blur",
+    isEnabled: blur.isEnabled !== false,
+    center: formatPoint(blur.center, "{0.500000, 0.500000}"),
+    saturation: blur.saturation !== undefined ? blur.saturation : 1.0,
+    type: type,
+    motionAngle: blur.motionAngle || 0.0,
+    radius: blur.radius !== undefined ? blur.radius : 10.0
+  };
+}
+
+/**
+ * 创建边框 - 符合 border.schema.yaml
+ * @param {Object} spec - { color, thickness, position, opacity, blendMode }，position 默认 inside
+ */
+function createBorder(spec) {
+  const position = BORDER_POSITIONS[spec.position || "inside"];
+  if (position === undefined) {
+    throw new Error(`Unknown border position "${spec.position}", expected one of: ${Object.keys(BORDER_POSITIONS).join(', ')}`);
+  }
+  const thickness = spec.thickness !== undefined ? spec.thickness : 1.0;
+  if (!(thickness > 0)) {
+    throw new Error(`Invalid border thickness ${thickness}: must be greater than 0`);
+  }
+
+  return {
+    _class: "border",
+    isEnabled: spec.isEnabled !== false,
+    ...createPaint(spec.color),
+    position: position,
+    thickness: thickness,
+    contextSettings: createContextSettings(spec)
+  };
+}
+
+/**
+ * 创建边框选项 - 符合 border-options.schema.yaml
+ * @param {Object} [spec] - { dashPattern, lineCap, lineJoin }
+ */
+function createBorderOptions(spec = {}) {
+  const lineCapStyle = LINE_CAP_STYLES[spec.lineCap || "butt"];
+  if (lineCapStyle === undefined) {
+    throw new Error(`Unknown line cap "${spec.lineCap}", expected one of: ${Object.keys(LINE_CAP_STYLES).join(', ')}`);
+  }
+  const lineJoinStyle = LINE_JOIN_STYLES[spec.lineJoin || "miter"];
+  if (lineJoinStyle === undefined) {
+    throw new Error(`Unknown line join "${spec.lineJoin}", expected one of: ${Object.keys(LINE_JOIN_STYLES).join(', ')}`);
+  }
+
+  return {
+    _class: "borderOptions",
+    isEnabled: true,
+    lineCapStyle: lineCapStyle,
+    lineJoinStyle: lineJoinStyle,
+    dashPattern: spec.dashPattern || []
+  };
+}
+
 /**
  * 创建样式对象 - 符合 Figma 导出的格式
  * 支持 textStyle，用于平台兼容
+ * @param {Object} [options]
+ * @param {Array} [options.fills] - 填充：颜色、渐变描述或图片填充；需要单独的不透明度或混合模式时写 { color, opacity, blendMode }，
+ *   渐变描述和图片填充中也可以直接写 opacity、blendMode
+ * @param {string|Object} [options.borderColor] - 单个边框的颜色或渐变（兼容旧配置），配合 borderWidth / borderPosition
+ * @param {Array} [options.borders] - 边框 [{ color, thickness, position: 'inside' | 'center' | 'outside', opacity, blendMode }]，color 可以是渐变描述
+ * @param {Object} [options.borderOptions] - { dashPattern: [实线, 间隔, ...], lineCap: 'butt' | 'round' | 'projecting', lineJoin: 'miter' | 'round' | 'bevel' }
+ * @param {Object} [options.shadow] - 单个阴影（兼容旧配置），同 shadows 的元素
+ * @param {Array} [options.shadows] - 阴影 [{ offsetX, offsetY, blur, spread, color, opacity }]
+ * @param {Array} [options.innerShadows] - 内阴影，格式同 shadows
+ * @param {Object} [options.blur] - 模糊 { type, radius, saturation, motionAngle, center }，type 为 background 时为背景模糊
+ * @param {number} [options.opacity] - 整个图层的不透明度 0 ~ 1
+ * @param {string} [options.blendMode] - 整个图层的混合模式，见 BLEND_MODES
  */
 function createStyle(options = {}) {
   const style = {
     _class: "style",
     do_objectID: generateUUID(),
-    blur: {
-      _class: "blur",
-      isEnabled: false,
-      center: "{0.500000, 0.500000}",
-      saturation: 1.0,
-      type: 0,
-      motionAngle: 0.0,
-      radius: 10.0
-    },
+    blur: createBlur(options.blur),
     borders: [],
     fills: [],
     shadows: [],
     innerShadows: [],
-    contextSettings: { _class: "graphicsContextSettings", blendMode: 0, opacity: 1.0 },
+    contextSettings: createContextSettings(options),
     startMarkerType: 0,
     endMarkerType: 0,
     miterLimit: 10,
@@ -240,59 +1008,39 @@ function createStyle(options = {}) {
       hue: 0.0,
       saturation: 1.0
     },
-    borderOptions: {
-      _class: "borderOptions",
-      isEnabled: true,
-      lineCapStyle: 0,
-      lineJoinStyle: 0,
-      dashPattern: []
-    }
+    borderOptions: createBorderOptions(options.borderOptions)
   };
 
   if (options.fills && options.fills.length > 0) {
-    style.fills = options.fills.map(color => ({
+    style.fills = options.fills.map(fill => ({
       _class: "fill",
       isEnabled: true,
-      color: parseColor(color),
-      fillType: 0,
       noiseIndex: 0,
       noiseIntensity: 0,
       patternFillType: 1,
       patternTileScale: 1.0,
-      gradient: {
-        _class: "gradient",
-        elipseLength: 0.0,
-        from: "{0.500000, 0.000000}",
-        to: "{0.500000, 1.000000}",
-        gradientType: 0,
-        stops: []
-      },
-      contextSettings: { _class: "graphicsContextSettings", blendMode: 0, opacity: 1.0 }
+      // 填充描述（纯色、渐变、图片）上的 opacity / blendMode 只作用于这一层填充
+      contextSettings: createContextSettings(fill && typeof fill === "object" ? fill : {}),
+      ...createPaint(fill)
     }));
   }
 
-  if (options.borderColor) {
+  if (options.borders) {
+    style.borders = options.borders.map(createBorder);
+  } else if (options.borderColor) {
     style.borders = [{
       _class: "border",
       isEnabled: true,
-      color: parseColor(options.borderColor),
-      fillType: 0,
+      ...createPaint(options.borderColor),
       position: options.borderPosition || 1,
       thickness: options.borderWidth || 1.0,
       contextSettings: { _class: "graphicsContextSettings", blendMode: 0, opacity: 1.0 }
     }];
   }
 
-  if (options.shadow) {
-    style.shadows = [{
-      _class: "shadow",
-      color: { _class: "color", red: 0, green: 0, blue: 0, alpha: 0.15 },
-      offsetX: 0,
-      offsetY: options.shadow.offsetY || 4,
-      blurRadius: options.shadow.blur || 12,
-      spread: 0
-    }];
-  }
+  const shadows = options.shadows || (options.shadow ? [options.shadow] : []);
+  style.shadows = shadows.map(shadow => createShadow("shadow", shadow));
+  style.innerShadows = (options.innerShadows || []).map(shadow => createShadow("innerShadow", shadow));
 
   // 添加 textStyle（平台兼容关键！）
   // 平台优先读取 layer.style.textStyle.encodeAttributes
@@ -330,6 +1078,228 @@ function createStyle(options = {}) {
   return style;
 }
 
+/**
+ * 创建共享样式 - 符合 shared-style.schema.yaml
+ * 图层通过 sharedStyleID 引用，文本样式和图层样式共用此结构
+ */
+function createSharedStyle(name, style) {
+  return {
+    _class: "sharedStyle",
+    do_objectID: generateUUID(),
+    name: name,
+    value: style
+  };
+}
+
+/**
+ * 判断填充值是否为渐变描述 { type, from, to, stops }
+ */
+function isGradientSpec(fill) {
+  return Boolean(fill) && typeof fill === "object" && Array.isArray(fill.stops);
+}
+
+/**
+ * 判断填充值是否为图片填充描述 { image, mode, tileScale }
+ * image 为 image-library.cjs 返回的 file-ref
+ */
+function isImageFill(fill) {
+  return Boolean(fill) && typeof fill === "object" && Boolean(fill.image) && typeof fill.image === "object";
+}
+
+/**
+ * 判断填充值是否为带不透明度或混合模式的纯色描述 { color, opacity, blendMode }
+ */
+function isColorFill(fill) {
+  return Boolean(fill) && typeof fill === "object" && !fill._class && fill.color !== undefined;
+}
+
+/**
+ * 格式化点坐标字符串，接受 { x, y }、[x, y] 或 "{x, y}"
+ */
+function formatPoint(point, fallback) {
+  if (typeof point === "string") return point;
+  if (Array.isArray(point)) return `{${point[0].toFixed(6)}, ${point[1].toFixed(6)}}`;
+  if (point && typeof point === "object") return `{${point.x.toFixed(6)}, ${point.y.toFixed(6)}}`;
+  return fallback;
+}
+
+/**
+ * 创建渐变 - 符合 gradient.schema.yaml
+ * @param {Object} [spec] - 渐变描述
+ * @param {string} [spec.type='linear'] - linear / radial / angular
+ * @param {Object|Array} [spec.from] - 起点（相对图层的 0~1 坐标），默认顶部中点
+ * @param {Object|Array} [spec.to] - 终点，默认底部中点
+ * @param {Array} [spec.stops] - [{ color, position }]，未写 position 时均匀分布
+ * @param {number} [spec.ellipseLength] - 径向渐变的椭圆比例
+ */
+function createGradient(spec = {}) {
+  const stops = spec.stops || [];
+  const gradientType = GRADIENT_TYPES[spec.type || "linear"];
+  if (gradientType === undefined) {
+    throw new Error(`Unknown gradient type "${spec.type}", expected one of: ${Object.keys(GRADIENT_TYPES).join(', ')}`);
+  }
+
+  return {
+    _class: "gradient",
+    elipseLength: spec.ellipseLength || 0.0,
+    from: formatPoint(spec.from, "{0.500000, 0.000000}"),
+    to: formatPoint(spec.to, "{0.500000, 1.000000}"),
+    gradientType: gradientType,
+    stops: stops.map((stop, index) => ({
+      _class: "gradientStop",
+      color: parseColor(stop.color),
+      position: stop.position !== undefined
+        ? stop.position
+        : (stops.length > 1 ? index / (stops.length - 1) : 0)
+    }))
+  };
+}
+
+/**
+ * 创建填充/边框的颜色部分（color、fillType、gradient、image）
+ * 纯色使用 fillType 0，渐变描述使用 fillType 1，图片填充使用 fillType 4
+ */
+function createPaint(fill) {
+  if (isColorFill(fill)) {
+    return createPaint(fill.color);
+  }
+
+  if (isImageFill(fill)) {
+    const patternFillType = PATTERN_FILL_TYPES[fill.mode || "fill"];
+    if (patternFillType === undefined) {
+      throw new Error(`Unknown image fill mode "${fill.mode}", expected one of: ${Object.keys(PATTERN_FILL_TYPES).join(', ')}`);
+    }
+    return {
+      color: parseColor(null),
+      fillType: 4,
+      gradient: createGradient(),
+      image: fill.image,
+      patternFillType: patternFillType,
+      patternTileScale: fill.tileScale || 1.0
+    };
+  }
+
+  if (isGradientSpec(fill)) {
+    const gradient = createGradient(fill);
+    return {
+      color: gradient.stops.length > 0 ? { ...gradient.stops[0].color } : parseColor(null),
+      fillType: 1,
+      gradient: gradient
+    };
+  }
+
+  return {
+    color: parseColor(fill),
+    fillType: 0,
+    gradient: createGradient()
+  };
+}
+
+/**
+ * 创建位图图层 - 符合 bitmap.schema.yaml
+ * 图片拉伸铺满图层，需要裁剪或平铺时使用带图片填充的矩形
+ * @param {Object} frame - 位置和尺寸
+ * @param {Object} image - 图片 file-ref，见 image-library.cjs
+ * @param {string} [name] - 图层名称
+ * @param {Object} [options] - { pin, export, opacity, blendMode, visible, locked }
+ */
+function createBitmap(frame, image, name = "Image", options = {}) {
+  const layer = createLayerBase("bitmap", frame, {
+    constrainProportions: true,
+    pin: options.pin,
+    export: options.export,
+    visible: options.visible,
+    locked: options.locked
+  });
+  layer.name = name;
+  layer.image = image;
+  layer.fillReplacesImage = false;
+  layer.intendedDPI = 72;
+  layer.clippingMask = "{{0, 0}, {1, 0}, {1, 1}, {0, 1}}";
+  layer.hasClippingMask = false;
+  layer.clippingMaskMode = 0;
+  layer.style = createStyle({ opacity: options.opacity, blendMode: options.blendMode });
+  return layer;
+}
+
+/**
+ * 创建切片图层 - 符合 slice.schema.yaml
+ * 切片导出其区域内的所有可见内容，用于图标、横幅等需要按固定区域导出的资源
+ * @param {Object} frame - 切片区域
+ * @param {string} [name] - 切片名称，即导出文件名
+ * @param {Object} [options]
+ * @param {string|Object|Array} [options.export='ios'] - 导出格式，见 createExportOptions
+ * @param {string} [options.backgroundColor] - 导出背景色，不传时背景透明
+ * @param {boolean} [options.visible] - 是否可见
+ * @param {boolean} [options.locked] - 是否锁定
+ */
+function createSlice(frame, name = "Slice", options = {}) {
+  const layer = createLayerBase("slice", frame, {
+    export: options.export || 'ios',
+    visible: options.visible,
+    locked: options.locked
+  });
+  layer.name = name;
+  layer.hasBackgroundColor = Boolean(options.backgroundColor);
+  layer.backgroundColor = parseColor(options.backgroundColor || "#FFFFFF");
+  return layer;
+}
+
+/**
+ * 创建原型链接 - 符合 flow-connection.schema.yaml
+ * @param {string} destinationArtboardID - 目标画板 ID，或 "back" 返回上一屏
+ * @param {string} [animation='slideFromRight'] - none / slideFromLeft / slideFromRight / slideFromBottom / slideFromTop
+ */
+function createFlowConnection(destinationArtboardID, animation = "slideFromRight") {
+  const animationType = ANIMATION_TYPES[animation];
+  if (animationType === undefined) {
+    throw new Error(`Unknown link animation "${animation}", expected one of: ${Object.keys(ANIMATION_TYPES).join(', ')}`);
+  }
+  return {
+    _class: "MSImmutableFlowConnection",
+    destinationArtboardID: destinationArtboardID,
+    animationType: animationType
+  };
+}
+
+/**
+ * 创建热区图层 - 符合 hotspot.schema.yaml
+ * 热区本身不可见，只承载原型链接（flow）
+ * @param {Object} frame - 可点击区域
+ * @param {string} [name] - 图层名称
+ */
+function createHotspot(frame, name = "Hotspot") {
+  const layer = createLayerBase("MSImmutableHotspotLayer", frame);
+  layer.name = name;
+  return layer;
+}
+
+/**
+ * 创建原型视口 - 符合 prototype-viewport.schema.yaml
+ * @param {string} name - 视口名称
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ */
+function createPrototypeViewport(name, width, height) {
+  return {
+    _class: "MSImmutablePrototypeViewport",
+    name: name,
+    size: `{${width}, ${height}}`
+  };
+}
+
+/**
+ * 创建渐变资源 - 符合 gradient-asset.schema.yaml
+ */
+function createGradientAsset(name, spec) {
+  return {
+    _class: "MSImmutableGradientAsset",
+    do_objectID: generateUUID(),
+    name: name,
+    gradient: createGradient(spec)
+  };
+}
+
 /**
  * 创建背景矩形 - Figma 导出格式
  */
@@ -356,11 +1326,99 @@ function createBackgroundRect(frame, backgroundColor) {
   return layer;
 }
 
+/**
+ * 创建栅格 - 符合 layout-grid.schema.yaml
+ * @param {Object} spec - { columns, gutter, margin, width }
+ * @param {number} spec.columns - 列数
+ * @param {number} [spec.gutter=24] - 列间距
+ * @param {number} [spec.margin] - 左右边距，默认 0；只传 width 时栅格水平居中
+ * @param {number} [spec.width] - 栅格总宽度，默认画板宽度减去左右边距
+ * @param {number} artboardWidth - 画板宽度
+ */
+function createLayoutGrid(spec, artboardWidth) {
+  const columns = spec.columns;
+  if (!Number.isInteger(columns) || columns < 1) {
+    throw new Error(`Invalid grid columns ${columns}: expected a positive integer`);
+  }
+  const gutter = spec.gutter !== undefined ? spec.gutter : 24;
+  const margin = spec.margin !== undefined ? spec.margin : 0;
+  const totalWidth = spec.width !== undefined ? spec.width : artboardWidth - margin * 2;
+  const offset = spec.width !== undefined && spec.margin === undefined ? (artboardWidth - totalWidth) / 2 : margin;
+  const columnWidth = (totalWidth - gutter * (columns - 1)) / columns;
+  if (!(columnWidth > 0)) {
+    throw new Error(`Invalid grid: ${columns} columns with ${gutter}px gutters do not fit in ${totalWidth}px`);
+  }
+
+  return {
+    _class: "layoutGrid",
+    isEnabled: true,
+    columnWidth: columnWidth,
+    gutterHeight: 24,
+    gutterWidth: gutter,
+    horizontalOffset: offset,
+    numberOfColumns: columns,
+    rowHeightMultiplication: 5,
+    totalWidth: totalWidth,
+    guttersOutside: false,
+    drawHorizontal: false,
+    drawHorizontalLines: false,
+    drawVertical: true
+  };
+}
+
+/**
+ * 创建方格网格 - 符合 simple-grid.schema.yaml
+ * @param {Object} spec - { size, thickTimes }，每 thickTimes 格画一条粗线
+ */
+function createSimpleGrid(spec) {
+  if (!(spec.size > 0)) {
+    throw new Error(`Invalid grid size ${spec.size}: must be greater than 0`);
+  }
+  return {
+    _class: "simpleGrid",
+    isEnabled: true,
+    gridSize: spec.size,
+    thickGridTimes: spec.thickTimes || 0
+  };
+}
+
+/**
+ * 计算横跨栅格若干列的水平位置
+ * @param {Object} layoutGrid - createLayoutGrid 生成的栅格
+ * @param {Array} span - [起始列, 结束列]，从 1 开始，包含两端
+ * @returns {Object} { x, width }
+ */
+function gridColumnSpan(layoutGrid, span) {
+  const columns = layoutGrid.numberOfColumns;
+  if (!Array.isArray(span) || span.length !== 2 || !span.every(Number.isInteger) ||
+      span[0] < 1 || span[1] < span[0] || span[1] > columns) {
+    throw new Error(`Invalid span ${JSON.stringify(span)}: expected [startColumn, endColumn] within 1-${columns}`);
+  }
+  const step = layoutGrid.columnWidth + layoutGrid.gutterWidth;
+  return {
+    x: layoutGrid.horizontalOffset + (span[0] - 1) * step,
+    width: (span[1] - span[0] + 1) * step - layoutGrid.gutterWidth
+  };
+}
+
+/**
+ * 创建标尺数据 - 符合 ruler-data.schema.yaml
+ * @param {Array} [guides] - 参考线位置
+ */
+function createRulerData(guides = []) {
+  return { _class: "rulerData", base: 0, guides: guides };
+}
+
 /**
  * 创建 Artboard - 符合 Figma 导出的格式
+ * @param {Object} [options] - 可选项，x/y 为画板在页面上的位置
+ * @param {Object} [options.grid] - { columns, gutter, margin, width } 生成栅格，{ size, thickTimes } 生成方格网格，可同时设置
+ * @param {Object} [options.guides] - 参考线 { x: [竖线的 x 坐标], y: [横线的 y 坐标] }
+ * @param {string|Object|Array} [options.export] - 导出格式，见 createExportOptions
+ * @param {boolean} [options.flowHome] - 是否为原型起始画板，起始画板同时设置原型视口
  */
-function createArtboard(name, width, height, backgroundColor) {
-  const layer = createLayerBase("artboard", { x: 0, y: 0, width, height });
+function createArtboard(name, width, height, backgroundColor, options = {}) {
+  const layer = createLayerBase("artboard", { x: options.x || 0, y: options.y || 0, width, height }, { export: options.export });
   layer.name = name;
   layer.hasClickThrough = true;
   layer.groupLayout = {
@@ -369,20 +1427,259 @@ function createArtboard(name, width, height, backgroundColor) {
 
   layer.hasBackgroundColor = false;
   layer.backgroundColor = parseColor(backgroundColor);
-  layer.horizontalRulerData = { _class: "rulerData", base: 0, guides: [] };
-  layer.verticalRulerData = { _class: "rulerData", base: 0, guides: [] };
+  // 水平标尺上的参考线是竖线（x 坐标），垂直标尺上的是横线（y 坐标）
+  const guides = options.guides || {};
+  layer.horizontalRulerData = createRulerData(guides.x);
+  layer.verticalRulerData = createRulerData(guides.y);
+
+  const grid = options.grid || {};
+  if (grid.columns !== undefined) {
+    layer.layout = createLayoutGrid(grid, width);
+  }
+  if (grid.size !== undefined) {
+    layer.grid = createSimpleGrid(grid);
+  }
 
   // 添加背景矩形层
   layer.layers = [createBackgroundRect({ x: 0, y: 0, width, height }, backgroundColor)];
 
   layer.includeBackgroundColorInExport = false;
   layer.includeInCloudUpload = true;
+  layer.isFlowHome = Boolean(options.flowHome);
+  if (layer.isFlowHome) {
+    layer.prototypeViewport = createPrototypeViewport(name, width, height);
+  }
+  layer.resizesContent = false;
+
+  return layer;
+}
+
+/**
+ * 计算图层列表的外接矩形
+ */
+function layersBounds(layers) {
+  if (layers.length === 0) {
+    return { x: 0, y: 0, width: 0, height: 0 };
+  }
+  const left = Math.min(...layers.map(layer => layer.frame.x));
+  const top = Math.min(...layers.map(layer => layer.frame.y));
+  const right = Math.max(...layers.map(layer => layer.frame.x + layer.frame.width));
+  const bottom = Math.max(...layers.map(layer => layer.frame.y + layer.frame.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * 创建编组布局 - 符合 freeform-group-layout / inferred-group-layout.schema.yaml
+ * @param {Object} [layout] - { axis, anchor, minSize, maxSize }，不传时为自由布局
+ */
+function createGroupLayout(layout) {
+  if (!layout) {
+    return { _class: "MSImmutableFreeformGroupLayout" };
+  }
+
+  const axis = INFERRED_LAYOUT_AXES[layout.axis];
+  if (axis === undefined) {
+    throw new Error(`Unknown layout axis "${layout.axis}", expected one of: ${Object.keys(INFERRED_LAYOUT_AXES).join(', ')}`);
+  }
+  const anchor = INFERRED_LAYOUT_ANCHORS[layout.anchor || "start"];
+  if (anchor === undefined) {
+    throw new Error(`Unknown layout anchor "${layout.anchor}", expected one of: ${Object.keys(INFERRED_LAYOUT_ANCHORS).join(', ')}`);
+  }
+
+  const groupLayout = {
+    _class: "MSImmutableInferredGroupLayout",
+    axis: axis,
+    layoutAnchor: anchor
+  };
+  if (layout.minSize !== undefined) groupLayout.minSize = layout.minSize;
+  if (layout.maxSize !== undefined) groupLayout.maxSize = layout.maxSize;
+  return groupLayout;
+}
+
+/**
+ * 按堆叠布局排列子图层：沿主轴从第一个子图层的起点依次排列，间距为 gap，交叉轴位置不变
+ * 第一个子图层覆盖整个编组时视为背景，不参与排列（与 Sketch 智能布局的处理一致）
+ */
+function stackLayers(layers, layout) {
+  const vertical = layout.axis === "vertical";
+  const position = vertical ? "y" : "x";
+  const size = vertical ? "height" : "width";
+  const gap = layout.gap || 0;
+
+  const bounds = layersBounds(layers);
+  const first = layers[0].frame;
+  const hasBackground = layers.length > 1 &&
+    first.x === bounds.x && first.y === bounds.y &&
+    first.width === bounds.width && first.height === bounds.height;
+  const items = hasBackground ? layers.slice(1) : layers;
+
+  let cursor = Math.min(...items.map(layer => layer.frame[position]));
+  items.forEach(layer => {
+    layer.frame[position] = cursor;
+    cursor += layer.frame[size] + gap;
+  });
+}
+
+/**
+ * 创建编组类图层（group / shapeGroup）的公共部分
+ * 编组取子图层的外接矩形，子图层坐标转换为相对编组左上角
+ */
+function createGroupBase(classType, name, layers, options = {}) {
+  const bounds = layersBounds(layers);
+  const layer = createLayerBase(classType, bounds, {
+    pin: options.pin,
+    export: options.export,
+    booleanOperation: options.booleanOperation,
+    visible: options.visible,
+    locked: options.locked
+  });
+  layer.name = name;
+  layer.hasClickThrough = false;
+  layer.layers = layers.map(child => {
+    child.frame.x -= bounds.x;
+    child.frame.y -= bounds.y;
+    return child;
+  });
+  return layer;
+}
+
+/**
+ * 创建编组 - 符合 group.schema.yaml
+ * 传入的图层使用外层坐标，编组取其外接矩形，子图层坐标转换为相对编组左上角；
+ * 编组可以嵌套，先创建内层编组即可
+ * @param {string} name - 编组名称
+ * @param {Array} layers - 子图层
+ * @param {Object} [options]
+ * @param {Object} [options.pin] - 响应式约束
+ * @param {string|Object|Array} [options.export] - 导出格式，见 createExportOptions
+ * @param {Object} [options.layout] - 堆叠布局（智能布局）{ axis: 'horizontal' | 'vertical', anchor: 'start' | 'center' | 'end', gap, minSize, maxSize }，
+ *   子图层按顺序沿主轴排列；anchor 决定内容变化时编组从哪一侧伸缩
+ * @param {number} [options.opacity] - 编组整体的不透明度 0 ~ 1
+ * @param {string} [options.blendMode] - 编组整体的混合模式，见 BLEND_MODES
+ * @param {boolean} [options.visible] - 是否可见，false 时编组隐藏
+ * @param {boolean} [options.locked] - 是否锁定
+ */
+function createGroup(name, layers, options = {}) {
+  const groupLayout = createGroupLayout(options.layout);
+  if (options.layout && layers.length > 0) {
+    stackLayers(layers, options.layout);
+  }
+
+  const layer = createGroupBase("group", name, layers, options);
+  layer.groupLayout = groupLayout;
+  layer.style = createStyle({ opacity: options.opacity, blendMode: options.blendMode });
+  return layer;
+}
+
+/**
+ * 创建遮罩编组
+ * mask 作为编组的第一个图层并设为剪切蒙版，之后的图层只显示在 mask 形状内，
+ * 如圆形头像（createOval 遮罩图片）、圆角卡片内的图片
+ * @param {string} name - 编组名称
+ * @param {Object} mask - 遮罩形状（矩形、椭圆、形状组等）
+ * @param {Array} layers - 被遮罩的图层
+ * @param {Object} [options] - 同 createGroup
+ */
+function createMaskGroup(name, mask, layers, options = {}) {
+  mask.hasClippingMask = true;
+  mask.clippingMaskMode = 0;
+  return createGroup(name, [mask, ...layers], options);
+}
+
+// 可以放入形状组的图层类型
+const SHAPE_CLASSES = ["rectangle", "oval", "polygon", "star", "triangle", "shapePath", "shapeGroup"];
+
+/**
+ * 创建形状组 - 符合 shape-group.schema.yaml
+ * 子形状按顺序与下方的形状做布尔运算（由子形状 style.booleanOperation 指定），合并为一个形状，
+ * 使用形状组自身的样式绘制，如用 union / subtract 拼出图标
+ * @param {string} name - 图层名称
+ * @param {Array} shapes - 子形状，使用外层坐标
+ * @param {Object} [style] - 形状组样式，createStyle 的参数（含 opacity、blendMode），另支持 sharedStyleID
+ * @param {Object} [options] - { pin, export, booleanOperation, visible, locked }
+ */
+function createShapeGroup(name, shapes, style = {}, options = {}) {
+  shapes.forEach(shape => {
+    if (!SHAPE_CLASSES.includes(shape._class)) {
+      throw new Error(`Shape group "${name}" can only contain ${SHAPE_CLASSES.join(', ')} layers, got "${shape._class}"`);
+    }
+  });
+
+  const layer = createGroupBase("shapeGroup", name, shapes, options);
+  layer.windingRule = 1;
+  layer.style = createStyle(style);
+  if (style.sharedStyleID) {
+    layer.sharedStyleID = style.sharedStyleID;
+  }
+  return layer;
+}
+
+/**
+ * 创建 Symbol Master - 符合 symbol-master.schema.yaml
+ * 其中的文本图层会自动登记为可覆盖属性（overrideProperties）
+ * @param {string} name - 组件名称，使用 "/" 分级，如 "Button/Primary"
+ * @param {Object} frame - 组件在 Symbols 页面上的位置和尺寸
+ * @param {Array} layers - 组件内的图层（坐标相对组件左上角）
+ */
+function createSymbolMaster(name, frame, layers = []) {
+  const layer = createLayerBase("symbolMaster", frame);
+  layer.name = name;
+  layer.hasClickThrough = true;
+  layer.groupLayout = {
+    _class: "MSImmutableFreeformGroupLayout"
+  };
+
+  layer.hasBackgroundColor = false;
+  layer.backgroundColor = parseColor("#FFFFFF");
+  layer.horizontalRulerData = { _class: "rulerData", base: 0, guides: [] };
+  layer.verticalRulerData = { _class: "rulerData", base: 0, guides: [] };
+  layer.layers = layers;
+
+  layer.includeBackgroundColorInExport = true;
+  layer.includeBackgroundColorInInstance = false;
+  layer.includeInCloudUpload = true;
   layer.isFlowHome = false;
   layer.resizesContent = false;
+  layer.symbolID = generateUUID();
+  layer.allowsOverrides = true;
+  layer.overrideProperties = layers
+    .filter(child => child._class === "text")
+    .map(child => ({
+      _class: "MSImmutableOverrideProperty",
+      overrideName: child.do_objectID + "_stringValue",
+      canOverride: true
+    }));
 
   return layer;
 }
 
+/**
+ * 创建 Symbol Instance - 符合 symbol-instance.schema.yaml
+ * @param {Object} symbolMaster - 对应的 symbolMaster 图层
+ * @param {Object} frame - 实例位置和尺寸
+ * @param {Object} [overrides] - 文本覆盖值，键为 master 内文本图层的名称
+ * @param {string} [name] - 实例名称，默认使用组件名称
+ */
+function createSymbolInstance(symbolMaster, frame, overrides = {}, name) {
+  const layer = createLayerBase("symbolInstance", frame);
+  layer.name = name || symbolMaster.name;
+  layer.symbolID = symbolMaster.symbolID;
+  layer.scale = 1;
+  layer.horizontalSpacing = 0;
+  layer.verticalSpacing = 0;
+
+  layer.overrideValues = symbolMaster.layers
+    .filter(child => child._class === "text" && overrides[child.name] !== undefined)
+    .map(child => ({
+      _class: "overrideValue",
+      overrideName: child.do_objectID + "_stringValue",
+      value: String(overrides[child.name])
+    }));
+
+  layer.style = createStyle();
+  return layer;
+}
+
 /**
  * 创建 Page - 符合 Figma 导出的格式
  */
@@ -421,27 +1718,64 @@ function createPage(name, layers = []) {
 
 /**
  * 解析颜色字符串为 Sketch 颜色对象
+ * 支持完整的 CSS 颜色语法（含透明度），见 color-parser.cjs
+ * 已经是 Sketch 颜色对象（如引用 swatch 的颜色）时返回其副本；未提供颜色时返回不透明黑色
+ * 无法解析的颜色会抛出错误，而不是静默变成黑色
  */
 function parseColor(colorStr) {
-  if (!colorStr || typeof colorStr !== 'string') {
+  if (colorStr && colorStr._class === "color") {
+    return { ...colorStr };
+  }
+
+  if (colorStr === undefined || colorStr === null || colorStr === '') {
     return { _class: "color", alpha: 1.0, red: 0, green: 0, blue: 0 };
   }
 
-  if (colorStr.startsWith('#')) {
-    const hex = colorStr.slice(1);
-    const r = parseInt(hex.substr(0, 2), 16) / 255;
-    const g = parseInt(hex.substr(2, 2), 16) / 255;
-    const b = parseInt(hex.substr(4, 2), 16) / 255;
-    return { _class: "color", alpha: 1.0, red: r || 0, green: g || 0, blue: b || 0 };
+  const rgba = typeof colorStr === 'string' ? parseCssColor(colorStr) : null;
+  if (!rgba) {
+    throw new Error(`Invalid color "${colorStr}": expected a CSS color such as #RRGGBB, #RGB, #RRGGBBAA, rgba(), hsl(), a named color or "transparent"`);
   }
 
-  return { _class: "color", alpha: 1.0, red: 0, green: 0, blue: 0 };
+  return { _class: "color", alpha: rgba.alpha, red: rgba.red, green: rgba.green, blue: rgba.blue };
+}
+
+/**
+ * 创建颜色变量 - 符合 swatch.schema.yaml
+ * 颜色通过 swatchID 引用 swatch，修改 swatch 即可同步所有引用
+ */
+function createSwatch(name, colorStr) {
+  return {
+    _class: "swatch",
+    do_objectID: generateUUID(),
+    name: name,
+    value: parseColor(colorStr)
+  };
+}
+
+/**
+ * 创建文档颜色 - 符合 color-asset.schema.yaml
+ */
+function createColorAsset(name, colorStr) {
+  return {
+    _class: "MSImmutableColorAsset",
+    do_objectID: generateUUID(),
+    name: name,
+    color: parseColor(colorStr)
+  };
 }
 
 /**
  * 生成完整 Sketch 文档 - 符合 Figma 导出的格式
+ * @param {Array} pages - 页面列表
+ * @param {Object} [options] - 可选项
+ * @param {Array} [options.layerStyles] - 共享图层样式（sharedStyle）
+ * @param {Array} [options.layerTextStyles] - 共享文本样式（sharedStyle）
+ * @param {Array} [options.swatches] - 颜色变量（swatch）
+ * @param {Array} [options.colorAssets] - 文档颜色（MSImmutableColorAsset）
+ * @param {Array} [options.gradientAssets] - 文档渐变（MSImmutableGradientAsset）
+ * @param {Array} [options.images] - 文档图片（data-ref），打包时写入 images/ 目录
  */
-function generateSketchDocument(pages) {
+function generateSketchDocument(pages, options = {}) {
   return {
     _class: "document",
     do_objectID: generateUUID(),
@@ -452,9 +1786,9 @@ function generateSketchDocument(pages) {
     assets: {
       _class: "assetCollection",
       do_objectID: generateUUID(),
-      colorAssets: [],
-      gradientAssets: [],
-      images: [],
+      colorAssets: options.colorAssets || [],
+      gradientAssets: options.gradientAssets || [],
+      images: options.images || [],
       colors: [],
       gradients: []
     },
@@ -465,7 +1799,7 @@ function generateSketchDocument(pages) {
     layerStyles: {
       _class: "sharedStyleContainer",
       do_objectID: generateUUID(),
-      objects: []
+      objects: options.layerStyles || []
     },
     layerSymbols: {
       _class: "symbolContainer",
@@ -475,12 +1809,12 @@ function generateSketchDocument(pages) {
     layerTextStyles: {
       _class: "sharedTextStyleContainer",
       do_objectID: generateUUID(),
-      objects: []
+      objects: options.layerTextStyles || []
     },
     sharedSwatches: {
       _class: "swatchContainer",
       do_objectID: generateUUID(),
-      objects: []
+      objects: options.swatches || []
     },
     fontReferences: [],
     documentState: { _class: "documentState" },
@@ -491,11 +1825,61 @@ function generateSketchDocument(pages) {
 module.exports = {
   generateUUID,
   createRectangle,
+  createOval,
+  createPolygon,
+  createStar,
+  createTriangle,
+  createShapePath,
+  createSVGPath,
+  createSVGPathLayers,
+  createCurvePoint,
   createText,
+  createBitmap,
+  createSlice,
+  createHotspot,
+  createFlowConnection,
+  createPrototypeViewport,
+  createGroup,
+  createMaskGroup,
+  createShapeGroup,
   createArtboard,
+  createLayoutGrid,
+  createSimpleGrid,
+  gridColumnSpan,
+  createSymbolMaster,
+  createSymbolInstance,
   createPage,
   generateSketchDocument,
   parseColor,
   createStyle,
-  RESIZING_CONSTRAINTS
+  createSharedStyle,
+  createSwatch,
+  createColorAsset,
+  createGradient,
+  createGradientAsset,
+  createShadow,
+  createBlur,
+  isGradientSpec,
+  isImageFill,
+  isColorFill,
+  createContextSettings,
+  textAlignment,
+  chineseDisplayFont,
+  createExportOptions,
+  EXPORT_PRESETS,
+  resolveResizingConstraint,
+  applyPin,
+  RESIZING_CONSTRAINTS,
+  RESIZING_CONSTRAINT_BITS,
+  GRADIENT_TYPES,
+  PATTERN_FILL_TYPES,
+  TEXT_BEHAVIOURS,
+  BLUR_TYPES,
+  BORDER_POSITIONS,
+  INFERRED_LAYOUT_AXES,
+  INFERRED_LAYOUT_ANCHORS,
+  ANIMATION_TYPES,
+  BOOLEAN_OPERATIONS,
+  BLEND_MODES,
+  CURVE_MODES
 };
@@ -66,26 +66,10 @@ function ensureAdmZip() {
 
 const AdmZip = ensureAdmZip();
 const { validateSketchDirectory } = require('./sketch-validator.cjs');
+const { generateUUID } = require('./id-provider.cjs');
 
 const DEFAULT_OUTPUT_DIR = path.join(os.homedir(), '.openclaw', 'workspace', 'sketch-output');
 
-function generateUUID() {
-  const hex = '0123456789ABCDEF';
-  let uuid = '';
-  for (let i = 0; i < 36; i++) {
-    if (i === 8 || i === 13 || i === 18 || i === 23) {
-      uuid += '-';
-    } else if (i === 14) {
-      uuid += '4';
-    } else if (i === 19) {
-      uuid += hex[(Math.random() * 4) | 8];
-    } else {
-      uuid += hex[(Math.random() * 16) | 0];
-    }
-  }
-  return uuid.toUpperCase();
-}
-
 function generateUniqueFilename(baseName) {
   return baseName + '_' + Date.now();
 }
@@ -103,6 +87,25 @@ function writeJSON(dir, filename, data) {
   return filePath;
 }
 
+/**
+ * 将文档中以 data-ref 内联的图片写入 images/ 目录
+ * @returns {Array} 对应的 file-ref 列表，用于 document.json 的 assets.images
+ */
+function writeImages(sketchDir, images) {
+  return images.map(image => {
+    if (image._class === 'MSJSONOriginalDataReference') {
+      const imagePath = path.join(sketchDir, image._ref);
+      fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+      fs.writeFileSync(imagePath, Buffer.from(image.data._data, 'base64'));
+    }
+    return {
+      _class: 'MSJSONFileReference',
+      _ref_class: image._ref_class || 'MSImageData',
+      _ref: image._ref
+    };
+  });
+}
+
 function createZipWithAdmZip(sourceDir, outputPath) {
   const zip = new AdmZip();
   
@@ -146,6 +149,16 @@ async function packSketch(documentData, filename, outputDir, options) {
   
   const pages = documentData.pages || [];
   const pageIds = pages.map(p => p.do_objectID);
+
+  const assets = documentData.assets || {
+    _class: "assetCollection",
+    do_objectID: generateUUID(),
+    colorAssets: [],
+    gradientAssets: [],
+    images: [],
+    colors: [],
+    gradients: []
+  };
   
   // Figma 导出的 document.json 格式
   const document = {
@@ -154,15 +167,8 @@ async function packSketch(documentData, filename, outputDir, options) {
     appVersion: SKETCH_VERSION,
     build: SKETCH_BUILD,
     currentPageIndex: documentData.currentPageIndex || 0,
-    assets: documentData.assets || {
-      _class: "assetCollection",
-      do_objectID: generateUUID(),
-      colorAssets: [],
-      gradientAssets: [],
-      images: [],
-      colors: [],
-      gradients: []
-    },
+    // 图片数据写入 images/ 目录，document.json 中只保留文件引用
+    assets: { ...assets, images: writeImages(sketchDir, assets.images || []) },
     // colorSpace = 1 (Display P3) - Figma 导出格式
     colorSpace: documentData.colorSpace !== undefined ? documentData.colorSpace : 1,
     foreignLayerStyles: [],
@@ -172,11 +178,7 @@ async function packSketch(documentData, filename, outputDir, options) {
     layerStyles: documentData.layerStyles || { _class: "sharedStyleContainer", do_objectID: generateUUID(), objects: [] },
     layerSymbols: documentData.layerSymbols || { _class: "symbolContainer", do_objectID: generateUUID(), objects: [] },
     layerTextStyles: documentData.layerTextStyles || { _class: "sharedTextStyleContainer", do_objectID: generateUUID(), objects: [] },
-    sharedSwatches: {
-      _class: "swatchContainer",
-      do_objectID: generateUUID(),
-      objects: []
-    },
+    sharedSwatches: documentData.sharedSwatches || { _class: "swatchContainer", do_objectID: generateUUID(), objects: [] },
     fontReferences: [],
     documentState: { _class: "documentState" },
     pages: pageIds.map(id => ({ 
@@ -198,10 +200,6 @@ async function packSketch(documentData, filename, outputDir, options) {
     writeJSON(pagesDir, pageId + '.json', page);
   });
   
-  const pageId = (pages[0] && pages[0].do_objectID) || generateUUID();
-  const artboardId = (pages[0] && pages[0].layers && pages[0].layers[0] && pages[0].layers[0].do_objectID) || generateUUID();
-  const artboardName = (pages[0] && pages[0].layers && pages[0].layers[0] && pages[0].layers[0].name) || "Artboard";
-  
   // Figma 导出的 meta.json 格式
   const meta = {
     commit: "eec98fa25f4692ad75f1a3b955a6293b4a93836e",
@@ -211,11 +209,19 @@ async function packSketch(documentData, filename, outputDir, options) {
     autosaved: 0,
     pagesAndArtboards: {}
   };
-  meta.pagesAndArtboards[pageId] = {
-    name: (pages[0] && pages[0].name) || "Page 1",
-    artboards: {}
-  };
-  meta.pagesAndArtboards[pageId].artboards[artboardId] = { name: artboardName };
+  // 记录每个页面及其全部画板（包括 Symbol Master）
+  pages.forEach((page, index) => {
+    const artboards = {};
+    (page.layers || []).forEach(layer => {
+      if (layer._class === 'artboard' || layer._class === 'symbolMaster') {
+        artboards[layer.do_objectID] = { name: layer.name || "Artboard" };
+      }
+    });
+    meta.pagesAndArtboards[page.do_objectID] = {
+      name: page.name || ("Page " + (index + 1)),
+      artboards: artboards
+    };
+  });
   // Figma 导出的额外字段
   meta.variant = "NONAPPSTORE";
   meta.fonts = [];
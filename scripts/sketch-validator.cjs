@@ -74,6 +74,8 @@ function validateRulerData(data, path = 'rulerData') {
   }
   if (!Array.isArray(data.guides)) {
     errors.push(`${path}.guides must be an array`);
+  } else if (!data.guides.every(guide => typeof guide === 'number')) {
+    errors.push(`${path}.guides must contain only numbers`);
   }
   return errors;
 }
@@ -102,6 +104,21 @@ function validateExportOptions(options, path = 'exportOptions') {
   if (typeof options.shouldTrim !== 'boolean') {
     errors.push(`${path}.shouldTrim must be a boolean`);
   }
+  (options.exportFormats || []).forEach((format, i) => {
+    const formatPath = `${path}.exportFormats[${i}]`;
+    if (format._class !== 'exportFormat') {
+      errors.push(`${formatPath}._class must be "exportFormat"`);
+    }
+    if (!['png', 'jpg', 'tiff', 'eps', 'pdf', 'webp', 'svg'].includes(format.fileFormat)) {
+      errors.push(`${formatPath}.fileFormat must be one of png, jpg, tiff, eps, pdf, webp, svg`);
+    }
+    if (typeof format.scale !== 'number' || format.scale <= 0) {
+      errors.push(`${formatPath}.scale must be a number greater than 0`);
+    }
+    if (typeof format.name !== 'string') {
+      errors.push(`${formatPath}.name must be a string`);
+    }
+  });
   return errors;
 }
 
@@ -120,8 +137,8 @@ function validateCurvePoint(point, path = 'curvePoint') {
   if (typeof point.cornerRadius !== 'number') {
     errors.push(`${path}.cornerRadius must be a number`);
   }
-  if (typeof point.curveMode !== 'number') {
-    errors.push(`${path}.curveMode must be a number`);
+  if (![0, 1, 2, 3, 4].includes(point.curveMode)) {
+    errors.push(`${path}.curveMode must be 0, 1, 2, 3 or 4`);
   }
   if (typeof point.hasCurveFrom !== 'boolean') {
     errors.push(`${path}.hasCurveFrom must be a boolean`);
@@ -130,7 +147,7 @@ function validateCurvePoint(point, path = 'curvePoint') {
     errors.push(`${path}.hasCurveTo must be a boolean`);
   }
   // point, curveFrom, curveTo 应该是字符串格式 "{x, y}"
-  const pointPattern = /^\{-?\d+(\.\d+)?, -?\d+(\.\d+)?\}$/;
+  const pointPattern = /^\{-?\d+(\.\d+)?(e[+-]?\d+)?, -?\d+(\.\d+)?(e[+-]?\d+)?\}$/i;
   ['point', 'curveFrom', 'curveTo'].forEach(prop => {
     if (typeof point[prop] !== 'string' || !pointPattern.test(point[prop])) {
       errors.push(`${path}.${prop} must be a point string like "{0, 0}"`);
@@ -139,6 +156,48 @@ function validateCurvePoint(point, path = 'curvePoint') {
   return errors;
 }
 
+/**
+ * 验证图片引用（file-ref 或 data-ref）
+ */
+function validateImageRef(ref, path = 'image') {
+  const errors = [];
+  if (!ref || typeof ref !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (ref._class !== 'MSJSONFileReference' && ref._class !== 'MSJSONOriginalDataReference') {
+    errors.push(`${path}._class must be "MSJSONFileReference" or "MSJSONOriginalDataReference"`);
+  }
+  if (ref._ref_class !== 'MSImageData') {
+    errors.push(`${path}._ref_class must be "MSImageData"`);
+  }
+  if (typeof ref._ref !== 'string' || !ref._ref.startsWith('images/')) {
+    errors.push(`${path}._ref must be a path inside images/`);
+  }
+  return errors;
+}
+
+/**
+ * 验证 contextSettings（不透明度与混合模式）
+ */
+function validateContextSettings(settings, path = 'contextSettings') {
+  const errors = [];
+  if (!settings || typeof settings !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (settings._class !== 'graphicsContextSettings') {
+    errors.push(`${path}._class must be "graphicsContextSettings"`);
+  }
+  if (!Number.isInteger(settings.blendMode) || settings.blendMode < 0 || settings.blendMode > 17) {
+    errors.push(`${path}.blendMode must be an integer between 0 and 17`);
+  }
+  if (typeof settings.opacity !== 'number' || settings.opacity < 0 || settings.opacity > 1) {
+    errors.push(`${path}.opacity must be a number between 0 and 1`);
+  }
+  return errors;
+}
+
 /**
  * 验证 fill 对象
  */
@@ -160,6 +219,61 @@ function validateFill(fill, path = 'fill') {
   if (fill.color) {
     errors.push(...validateColor(fill.color, `${path}.color`));
   }
+  if (fill.contextSettings) {
+    errors.push(...validateContextSettings(fill.contextSettings, `${path}.contextSettings`));
+  }
+  // 图片填充必须引用图片
+  if (fill.fillType === 4) {
+    errors.push(...validateImageRef(fill.image, `${path}.image`));
+  }
+  return errors;
+}
+
+/**
+ * 验证 border 对象
+ */
+function validateBorder(border, path = 'border') {
+  const errors = [];
+  if (!border || typeof border !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (border._class !== 'border') {
+    errors.push(`${path}._class must be "border"`);
+  }
+  if (![0, 1, 2].includes(border.position)) {
+    errors.push(`${path}.position must be 0, 1 or 2`);
+  }
+  if (typeof border.thickness !== 'number' || border.thickness <= 0) {
+    errors.push(`${path}.thickness must be a number greater than 0`);
+  }
+  if (border.color) {
+    errors.push(...validateColor(border.color, `${path}.color`));
+  }
+  if (border.contextSettings) {
+    errors.push(...validateContextSettings(border.contextSettings, `${path}.contextSettings`));
+  }
+  return errors;
+}
+
+/**
+ * 验证 shadow / innerShadow 对象
+ */
+function validateShadow(shadow, classType, path = 'shadow') {
+  const errors = [];
+  if (!shadow || typeof shadow !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (shadow._class !== classType) {
+    errors.push(`${path}._class must be "${classType}"`);
+  }
+  ['blurRadius', 'offsetX', 'offsetY', 'spread'].forEach(prop => {
+    if (typeof shadow[prop] !== 'number') {
+      errors.push(`${path}.${prop} must be a number`);
+    }
+  });
+  errors.push(...validateColor(shadow.color, `${path}.color`));
   return errors;
 }
 
@@ -178,6 +292,9 @@ function validateStyle(style, path = 'style') {
   if (style.do_objectID && !isValidUUID(style.do_objectID)) {
     errors.push(`${path}.do_objectID must be a valid UUID`);
   }
+  if (style.contextSettings) {
+    errors.push(...validateContextSettings(style.contextSettings, `${path}.contextSettings`));
+  }
   if (!Array.isArray(style.fills)) {
     errors.push(`${path}.fills must be an array`);
   } else {
@@ -187,12 +304,44 @@ function validateStyle(style, path = 'style') {
   }
   if (!Array.isArray(style.borders)) {
     errors.push(`${path}.borders must be an array`);
+  } else {
+    style.borders.forEach((border, i) => {
+      errors.push(...validateBorder(border, `${path}.borders[${i}]`));
+    });
+  }
+  if (style.borderOptions) {
+    const { dashPattern, lineCapStyle, lineJoinStyle } = style.borderOptions;
+    if (!Array.isArray(dashPattern) || !dashPattern.every(n => typeof n === 'number' && n >= 0)) {
+      errors.push(`${path}.borderOptions.dashPattern must be an array of non-negative numbers`);
+    }
+    if (![0, 1, 2].includes(lineCapStyle)) {
+      errors.push(`${path}.borderOptions.lineCapStyle must be 0, 1 or 2`);
+    }
+    if (![0, 1, 2].includes(lineJoinStyle)) {
+      errors.push(`${path}.borderOptions.lineJoinStyle must be 0, 1 or 2`);
+    }
   }
   if (!Array.isArray(style.shadows)) {
     errors.push(`${path}.shadows must be an array`);
+  } else {
+    style.shadows.forEach((shadow, i) => {
+      errors.push(...validateShadow(shadow, 'shadow', `${path}.shadows[${i}]`));
+    });
   }
   if (!Array.isArray(style.innerShadows)) {
     errors.push(`${path}.innerShadows must be an array`);
+  } else {
+    style.innerShadows.forEach((shadow, i) => {
+      errors.push(...validateShadow(shadow, 'innerShadow', `${path}.innerShadows[${i}]`));
+    });
+  }
+  if (style.blur) {
+    if (style.blur._class !== 'blur') {
+      errors.push(`${path}.blur._class must be "blur"`);
+    }
+    if (![0, 1, 2, 3].includes(style.blur.type)) {
+      errors.push(`${path}.blur.type must be 0, 1, 2 or 3`);
+    }
   }
   return errors;
 }
@@ -219,8 +368,8 @@ function validateRectangle(rect, path = 'rectangle') {
   if (typeof rect.resizingConstraint !== 'number') {
     errors.push(`${path}.resizingConstraint must be a number`);
   }
-  if (typeof rect.booleanOperation !== 'number') {
-    errors.push(`${path}.booleanOperation must be a number`);
+  if (![-1, 0, 1, 2, 3].includes(rect.booleanOperation)) {
+    errors.push(`${path}.booleanOperation must be -1, 0, 1, 2 or 3`);
   }
   errors.push(...validateExportOptions(rect.exportOptions, `${path}.exportOptions`));
   if (typeof rect.isVisible !== 'boolean') {
@@ -256,6 +405,132 @@ function validateRectangle(rect, path = 'rectangle') {
   return errors;
 }
 
+/**
+ * 验证 oval 图层
+ */
+function validateOval(oval, path = 'oval') {
+  const errors = [];
+  if (!oval || typeof oval !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (!isValidUUID(oval.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  errors.push(...validateRect(oval.frame, `${path}.frame`));
+  if (![-1, 0, 1, 2, 3].includes(oval.booleanOperation)) {
+    errors.push(`${path}.booleanOperation must be -1, 0, 1, 2 or 3`);
+  }
+  errors.push(...validateExportOptions(oval.exportOptions, `${path}.exportOptions`));
+  if (!Array.isArray(oval.points) || oval.points.length !== 4) {
+    errors.push(`${path}.points must have exactly 4 points`);
+  } else {
+    oval.points.forEach((point, i) => {
+      errors.push(...validateCurvePoint(point, `${path}.points[${i}]`));
+    });
+  }
+  errors.push(...validateStyle(oval.style, `${path}.style`));
+  return errors;
+}
+
+// 可以放入形状组的图层类型
+const SHAPE_CLASSES = ['rectangle', 'oval', 'polygon', 'star', 'triangle', 'shapePath', 'shapeGroup'];
+
+/**
+ * 验证 polygon / star / triangle / shapePath 图层
+ */
+function validateShapePath(shape, path = 'shapePath') {
+  const errors = [];
+  if (!shape || typeof shape !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (!isValidUUID(shape.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  errors.push(...validateRect(shape.frame, `${path}.frame`));
+  if (![-1, 0, 1, 2, 3].includes(shape.booleanOperation)) {
+    errors.push(`${path}.booleanOperation must be -1, 0, 1, 2 or 3`);
+  }
+  errors.push(...validateExportOptions(shape.exportOptions, `${path}.exportOptions`));
+  if (typeof shape.isClosed !== 'boolean') {
+    errors.push(`${path}.isClosed must be a boolean`);
+  }
+  const minPoints = shape._class === 'shapePath' ? 2 : 3;
+  if (!Array.isArray(shape.points) || shape.points.length < minPoints) {
+    errors.push(`${path}.points must have at least ${minPoints} points`);
+  } else {
+    shape.points.forEach((point, i) => {
+      errors.push(...validateCurvePoint(point, `${path}.points[${i}]`));
+    });
+  }
+  if ((shape._class === 'polygon' || shape._class === 'star') &&
+      (!Number.isInteger(shape.numberOfPoints) || shape.numberOfPoints < 3)) {
+    errors.push(`${path}.numberOfPoints must be an integer of at least 3`);
+  }
+  if (shape._class === 'star' && !(typeof shape.radius === 'number' && shape.radius > 0 && shape.radius <= 1)) {
+    errors.push(`${path}.radius must be a number greater than 0 and at most 1`);
+  }
+  if (shape._class === 'triangle' && typeof shape.isEquilateral !== 'boolean') {
+    errors.push(`${path}.isEquilateral must be a boolean`);
+  }
+  errors.push(...validateStyle(shape.style, `${path}.style`));
+  return errors;
+}
+
+/**
+ * 验证 shapeGroup 图层
+ */
+function validateShapeGroup(group, path = 'shapeGroup') {
+  const errors = [];
+  if (!isValidUUID(group.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  errors.push(...validateRect(group.frame, `${path}.frame`));
+  if (![0, 1].includes(group.windingRule)) {
+    errors.push(`${path}.windingRule must be 0 or 1`);
+  }
+  errors.push(...validateStyle(group.style, `${path}.style`));
+  if (!Array.isArray(group.layers) || group.layers.length === 0) {
+    errors.push(`${path}.layers must be a non-empty array`);
+    return errors;
+  }
+  group.layers.forEach((layer, i) => {
+    if (!SHAPE_CLASSES.includes(layer._class)) {
+      errors.push(`${path}.layers[${i}] must be a shape layer, got "${layer._class}"`);
+    }
+  });
+  errors.push(...validateChildLayers(group.layers, `${path}.layers`));
+  return errors;
+}
+
+/**
+ * 验证 bitmap 图层
+ */
+function validateBitmap(bitmap, path = 'bitmap') {
+  const errors = [];
+  if (!bitmap || typeof bitmap !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (bitmap._class !== 'bitmap') {
+    errors.push(`${path}._class must be "bitmap"`);
+  }
+  if (!isValidUUID(bitmap.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  if (typeof bitmap.name !== 'string') {
+    errors.push(`${path}.name must be a string`);
+  }
+  errors.push(...validateRect(bitmap.frame, `${path}.frame`));
+  errors.push(...validateExportOptions(bitmap.exportOptions, `${path}.exportOptions`));
+  errors.push(...validateImageRef(bitmap.image, `${path}.image`));
+  if (bitmap.style) {
+    errors.push(...validateStyle(bitmap.style, `${path}.style`));
+  }
+  return errors;
+}
+
 /**
  * 验证 text 图层
  */
@@ -299,6 +574,17 @@ function validateText(text, path = 'text') {
     if (!Array.isArray(text.attributedString.attributes)) {
       errors.push(`${path}.attributedString.attributes must be an array`);
     } else {
+      // 片段必须首尾相接并恰好覆盖整个字符串（UTF-16 单元）
+      let expectedLocation = 0;
+      text.attributedString.attributes.forEach((attr, i) => {
+        if (attr.location !== expectedLocation) {
+          errors.push(`${path}.attributedString.attributes[${i}].location must be ${expectedLocation}`);
+        }
+        expectedLocation = attr.location + attr.length;
+      });
+      if (typeof text.attributedString.string === 'string' && expectedLocation !== text.attributedString.string.length) {
+        errors.push(`${path}.attributedString.attributes must cover the whole string (${text.attributedString.string.length} UTF-16 units)`);
+      }
       text.attributedString.attributes.forEach((attr, i) => {
         if (attr._class !== 'stringAttribute') {
           errors.push(`${path}.attributedString.attributes[${i}]._class must be "stringAttribute"`);
@@ -385,16 +671,261 @@ function validateArtboard(artboard, path = 'artboard') {
   if (typeof artboard.hasClickThrough !== 'boolean') {
     errors.push(`${path}.hasClickThrough must be a boolean`);
   }
-  if (!Array.isArray(artboard.layers)) {
+  if (artboard.layout) {
+    const grid = artboard.layout;
+    if (grid._class !== 'layoutGrid') {
+      errors.push(`${path}.layout._class must be "layoutGrid"`);
+    }
+    if (!Number.isInteger(grid.numberOfColumns) || grid.numberOfColumns < 1) {
+      errors.push(`${path}.layout.numberOfColumns must be a positive integer`);
+    }
+    ['columnWidth', 'gutterWidth', 'horizontalOffset', 'totalWidth'].forEach(prop => {
+      if (typeof grid[prop] !== 'number') {
+        errors.push(`${path}.layout.${prop} must be a number`);
+      }
+    });
+  }
+  if (artboard.prototypeViewport) {
+    if (artboard.prototypeViewport._class !== 'MSImmutablePrototypeViewport') {
+      errors.push(`${path}.prototypeViewport._class must be "MSImmutablePrototypeViewport"`);
+    }
+    if (!/^\{-?[\d.]+, -?[\d.]+\}$/.test(artboard.prototypeViewport.size)) {
+      errors.push(`${path}.prototypeViewport.size must be a size string like "{393, 852}"`);
+    }
+  }
+  if (artboard.grid) {
+    if (artboard.grid._class !== 'simpleGrid') {
+      errors.push(`${path}.grid._class must be "simpleGrid"`);
+    }
+    if (typeof artboard.grid.gridSize !== 'number' || artboard.grid.gridSize <= 0) {
+      errors.push(`${path}.grid.gridSize must be a number greater than 0`);
+    }
+  }
+  errors.push(...validateChildLayers(artboard.layers, `${path}.layers`));
+  return errors;
+}
+
+/**
+ * 验证画板或编组内的子图层
+ */
+function validateChildLayers(layers, path = 'layers') {
+  const errors = [];
+  if (!Array.isArray(layers)) {
+    errors.push(`${path} must be an array`);
+    return errors;
+  }
+  layers.forEach((layer, i) => {
+    if (layer._class === 'rectangle') {
+      errors.push(...validateRectangle(layer, `${path}[${i}]`));
+    } else if (layer._class === 'text') {
+      errors.push(...validateText(layer, `${path}[${i}]`));
+    } else if (layer._class === 'symbolInstance') {
+      errors.push(...validateSymbolInstance(layer, `${path}[${i}]`));
+    } else if (layer._class === 'bitmap') {
+      errors.push(...validateBitmap(layer, `${path}[${i}]`));
+    } else if (layer._class === 'group') {
+      errors.push(...validateGroup(layer, `${path}[${i}]`));
+    } else if (layer._class === 'oval') {
+      errors.push(...validateOval(layer, `${path}[${i}]`));
+    } else if (['polygon', 'star', 'triangle', 'shapePath'].includes(layer._class)) {
+      errors.push(...validateShapePath(layer, `${path}[${i}]`));
+    } else if (layer._class === 'shapeGroup') {
+      errors.push(...validateShapeGroup(layer, `${path}[${i}]`));
+    } else if (layer._class === 'slice') {
+      errors.push(...validateSlice(layer, `${path}[${i}]`));
+    } else if (layer._class === 'MSImmutableHotspotLayer') {
+      errors.push(...validateHotspot(layer, `${path}[${i}]`));
+    }
+    if (layer.flow) {
+      errors.push(...validateFlow(layer.flow, `${path}[${i}].flow`));
+    }
+    // TODO: 添加其他图层类型的验证
+  });
+  return errors;
+}
+
+/**
+ * 验证原型链接（flow connection）
+ */
+function validateFlow(flow, path = 'flow') {
+  const errors = [];
+  if (flow._class !== 'MSImmutableFlowConnection') {
+    errors.push(`${path}._class must be "MSImmutableFlowConnection"`);
+  }
+  const destination = flow.destinationArtboardID;
+  if (destination !== 'back' && destination !== 'automatic' && !isValidUUID(destination)) {
+    errors.push(`${path}.destinationArtboardID must be an artboard UUID, "back" or "automatic"`);
+  }
+  if (![0, 1, 2, 3, 4].includes(flow.animationType)) {
+    errors.push(`${path}.animationType must be 0, 1, 2, 3 or 4`);
+  }
+  return errors;
+}
+
+/**
+ * 验证热区图层
+ */
+function validateHotspot(hotspot, path = 'hotspot') {
+  const errors = [];
+  if (!isValidUUID(hotspot.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  errors.push(...validateRect(hotspot.frame, `${path}.frame`));
+  if (!hotspot.flow) {
+    errors.push(`${path}.flow is required`);
+  }
+  return errors;
+}
+
+/**
+ * 验证 slice 图层
+ */
+function validateSlice(slice, path = 'slice') {
+  const errors = [];
+  if (!slice || typeof slice !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (!isValidUUID(slice.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  errors.push(...validateRect(slice.frame, `${path}.frame`));
+  errors.push(...validateExportOptions(slice.exportOptions, `${path}.exportOptions`));
+  if (typeof slice.hasBackgroundColor !== 'boolean') {
+    errors.push(`${path}.hasBackgroundColor must be a boolean`);
+  }
+  errors.push(...validateColor(slice.backgroundColor, `${path}.backgroundColor`));
+  return errors;
+}
+
+/**
+ * 验证编组布局（自由布局或智能布局）
+ */
+function validateGroupLayout(groupLayout, path = 'groupLayout') {
+  const errors = [];
+  if (!groupLayout || typeof groupLayout !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (groupLayout._class === 'MSImmutableInferredGroupLayout') {
+    if (![0, 1].includes(groupLayout.axis)) {
+      errors.push(`${path}.axis must be 0 or 1`);
+    }
+    if (![0, 1, 2].includes(groupLayout.layoutAnchor)) {
+      errors.push(`${path}.layoutAnchor must be 0, 1 or 2`);
+    }
+  } else if (groupLayout._class !== 'MSImmutableFreeformGroupLayout') {
+    errors.push(`${path}._class must be "MSImmutableFreeformGroupLayout" or "MSImmutableInferredGroupLayout"`);
+  }
+  return errors;
+}
+
+/**
+ * 验证 group 图层
+ */
+function validateGroup(group, path = 'group') {
+  const errors = [];
+  if (!group || typeof group !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (group._class !== 'group') {
+    errors.push(`${path}._class must be "group"`);
+  }
+  if (!isValidUUID(group.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  if (typeof group.name !== 'string') {
+    errors.push(`${path}.name must be a string`);
+  }
+  errors.push(...validateRect(group.frame, `${path}.frame`));
+  if (typeof group.resizingConstraint !== 'number') {
+    errors.push(`${path}.resizingConstraint must be a number`);
+  }
+  errors.push(...validateExportOptions(group.exportOptions, `${path}.exportOptions`));
+  if (typeof group.hasClickThrough !== 'boolean') {
+    errors.push(`${path}.hasClickThrough must be a boolean`);
+  }
+  errors.push(...validateGroupLayout(group.groupLayout, `${path}.groupLayout`));
+  errors.push(...validateStyle(group.style, `${path}.style`));
+  errors.push(...validateChildLayers(group.layers, `${path}.layers`));
+  return errors;
+}
+
+/**
+ * 验证 symbolInstance 图层
+ */
+function validateSymbolInstance(instance, path = 'symbolInstance') {
+  const errors = [];
+  if (!instance || typeof instance !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (instance._class !== 'symbolInstance') {
+    errors.push(`${path}._class must be "symbolInstance"`);
+  }
+  if (!isValidUUID(instance.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  if (!isValidUUID(instance.symbolID)) {
+    errors.push(`${path}.symbolID must be a valid UUID`);
+  }
+  errors.push(...validateRect(instance.frame, `${path}.frame`));
+  errors.push(...validateExportOptions(instance.exportOptions, `${path}.exportOptions`));
+  if (!Array.isArray(instance.overrideValues)) {
+    errors.push(`${path}.overrideValues must be an array`);
+  } else {
+    instance.overrideValues.forEach((override, i) => {
+      if (override._class !== 'overrideValue') {
+        errors.push(`${path}.overrideValues[${i}]._class must be "overrideValue"`);
+      }
+      if (typeof override.overrideName !== 'string') {
+        errors.push(`${path}.overrideValues[${i}].overrideName must be a string`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * 验证 symbolMaster 图层
+ */
+function validateSymbolMaster(master, path = 'symbolMaster') {
+  const errors = [];
+  if (!master || typeof master !== 'object') {
+    errors.push(`${path} must be an object`);
+    return errors;
+  }
+  if (master._class !== 'symbolMaster') {
+    errors.push(`${path}._class must be "symbolMaster"`);
+  }
+  if (!isValidUUID(master.do_objectID)) {
+    errors.push(`${path}.do_objectID must be a valid UUID`);
+  }
+  if (!isValidUUID(master.symbolID)) {
+    errors.push(`${path}.symbolID must be a valid UUID`);
+  }
+  if (typeof master.name !== 'string') {
+    errors.push(`${path}.name must be a string`);
+  }
+  errors.push(...validateRect(master.frame, `${path}.frame`));
+  errors.push(...validateExportOptions(master.exportOptions, `${path}.exportOptions`));
+  errors.push(...validateRulerData(master.horizontalRulerData, `${path}.horizontalRulerData`));
+  errors.push(...validateRulerData(master.verticalRulerData, `${path}.verticalRulerData`));
+  if (!Array.isArray(master.overrideProperties)) {
+    errors.push(`${path}.overrideProperties must be an array`);
+  }
+  if (!Array.isArray(master.layers)) {
     errors.push(`${path}.layers must be an array`);
   } else {
-    artboard.layers.forEach((layer, i) => {
+    master.layers.forEach((layer, i) => {
       if (layer._class === 'rectangle') {
         errors.push(...validateRectangle(layer, `${path}.layers[${i}]`));
       } else if (layer._class === 'text') {
         errors.push(...validateText(layer, `${path}.layers[${i}]`));
+      } else if (layer._class === 'bitmap') {
+        errors.push(...validateBitmap(layer, `${path}.layers[${i}]`));
       }
-      // TODO: 添加其他图层类型的验证
     });
   }
   return errors;
@@ -438,6 +969,8 @@ function validatePage(page, path = 'page') {
     page.layers.forEach((layer, i) => {
       if (layer._class === 'artboard') {
         errors.push(...validateArtboard(layer, `${path}.layers[${i}]`));
+      } else if (layer._class === 'symbolMaster') {
+        errors.push(...validateSymbolMaster(layer, `${path}.layers[${i}]`));
       }
     });
   }
@@ -628,6 +1161,14 @@ function validateSketchDirectory(sketchDir) {
   try {
     const doc = JSON.parse(fs.readFileSync(path.join(sketchDir, 'document.json'), 'utf8'));
     errors.push(...validateDocument(doc));
+
+    // 验证图片文件
+    (doc.assets?.images || []).forEach((image, i) => {
+      errors.push(...validateImageRef(image, `document.assets.images[${i}]`));
+      if (typeof image._ref === 'string' && !fs.existsSync(path.join(sketchDir, image._ref))) {
+        errors.push(`Missing image file: ${image._ref}`);
+      }
+    });
     
     // 验证 pages
     if (doc.pages && Array.isArray(doc.pages)) {
@@ -673,5 +1214,9 @@ module.exports = {
   validateArtboard,
   validateRectangle,
   validateText,
+  validateBitmap,
+  validateGroup,
+  validateSymbolMaster,
+  validateSymbolInstance,
   isValidUUID
 };
\ No newline at end of file
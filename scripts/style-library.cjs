@@ -0,0 +1,338 @@
+/**
+ * Style Library
+ * 根据排版（typography）和表面（surfaces）令牌生成共享文本样式和共享图层样式
+ * 调色板中的每个颜色生成一个 swatch，样式中的调色板颜色通过 swatchID 引用
+ * 具名渐变（gradients）生成渐变资源，填充中可以直接写渐变名称
+ * 模块通过 context.styles.text() / context.styles.layer() 获取带 sharedStyleID 的样式参数
+ */
+
+const path = require('path');
+const {
+  createStyle,
+  createSharedStyle,
+  createSwatch,
+  createColorAsset,
+  createGradientAsset,
+  isGradientSpec,
+  isImageFill,
+  isColorFill,
+  parseColor,
+  textAlignment,
+  chineseDisplayFont
+} = require('./sketch-generator.cjs');
+const { withIdRootScope } = require('./id-provider.cjs');
+
+/**
+ * 默认排版令牌
+ */
+const DEFAULT_TYPOGRAPHY = {
+  display: { fontFamily: "Roboto-Bold", fontSize: 28 },
+  h1: { fontFamily: "Roboto-Bold", fontSize: 24 },
+  h2: { fontFamily: "Roboto-Bold", fontSize: 22 },
+  h3: { fontFamily: "Roboto-Medium", fontSize: 20 },
+  title: { fontFamily: "Roboto-Bold", fontSize: 18 },
+  subtitle: { fontFamily: "Roboto-Bold", fontSize: 16 },
+  lead: { fontFamily: "Roboto-Regular", fontSize: 15 },
+  bodyLarge: { fontFamily: "Roboto-Regular", fontSize: 16 },
+  button: { fontFamily: "Roboto-Medium", fontSize: 16 },
+  body: { fontFamily: "Roboto-Regular", fontSize: 14 },
+  label: { fontFamily: "Roboto-Medium", fontSize: 14 },
+  caption: { fontFamily: "Roboto-Regular", fontSize: 13 },
+  captionStrong: { fontFamily: "Roboto-Medium", fontSize: 13 },
+  small: { fontFamily: "Roboto-Regular", fontSize: 12 },
+  smallStrong: { fontFamily: "Roboto-Medium", fontSize: 12 }
+};
+
+/**
+ * 默认表面令牌，颜色为调色板键名
+ */
+const DEFAULT_SURFACES = {
+  surface: { fill: "surface" },
+  background: { fill: "background" },
+  card: { fill: "surface" },
+  primary: { fill: "primary" },
+  primaryButton: { fill: "primary" },
+  secondaryButton: { fill: "background", borderColor: "border" },
+  inverseButton: { fill: "#FFFFFF" },
+  input: { fill: "background" },
+  checkbox: { fill: "border" },
+  tag: { fill: "primary" },
+  header: { fill: "surface" },
+  // 图片和叠加层的填充由模块传入，如 layer('image', { fill: images.fill(...) })
+  image: {},
+  overlay: {},
+  // 图标的无填充边界矩形
+  iconBounds: {},
+  // 头像遮罩，图片未铺满时露出的底色
+  avatar: { fill: "border" },
+  // 弹窗遮罩：45% 黑色
+  scrim: { fill: "#000000", opacity: 0.45 },
+  // 表头底部分隔线：1px 内阴影只画出底边
+  tableHeader: { fill: "background", innerShadows: [{ offsetY: -1, blur: 0, color: "border", opacity: 1 }] }
+};
+
+/**
+ * 默认投影层级令牌，表面令牌通过 elevation 引用
+ */
+const DEFAULT_ELEVATIONS = {
+  e1: [
+    { offsetY: 1, blur: 2, color: "rgba(0, 0, 0, 0.06)" },
+    { offsetY: 1, blur: 3, color: "rgba(0, 0, 0, 0.10)" }
+  ],
+  e2: [
+    { offsetY: 2, blur: 4, spread: -1, color: "rgba(0, 0, 0, 0.06)" },
+    { offsetY: 4, blur: 6, spread: -1, color: "rgba(0, 0, 0, 0.10)" }
+  ],
+  e3: [
+    { offsetY: 4, blur: 6, spread: -2, color: "rgba(0, 0, 0, 0.05)" },
+    { offsetY: 10, blur: 15, spread: -3, color: "rgba(0, 0, 0, 0.10)" }
+  ],
+  e4: [
+    { offsetY: 10, blur: 10, spread: -5, color: "rgba(0, 0, 0, 0.04)" },
+    { offsetY: 20, blur: 25, spread: -5, color: "rgba(0, 0, 0, 0.10)" }
+  ]
+};
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+// 不透明度的百分比写法，保留小数避免相近的值生成同名样式，如 0.601 为 "60.1%"
+function percent(value) {
+  return `${parseFloat((value * 100).toFixed(4))}%`;
+}
+
+// Sketch 颜色对象的名称：#RRGGBB，半透明时附加不透明度，如 "#0067D1 50%"
+function colorHex({ red, green, blue, alpha }) {
+  const hex = [red, green, blue]
+    .map(value => Math.round(value * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+  return alpha < 1 ? `#${hex} ${percent(alpha)}` : `#${hex}`;
+}
+
+/**
+ * 创建样式库
+ * @param {Object} options - 选项
+ * @param {Object} options.colorPalette - 颜色配置，每个键生成一个 swatch
+ * @param {Object} [options.typography] - 排版令牌 { token: { fontFamily, fontSize, color, alignment } }
+ * @param {Object} [options.surfaces] - 表面令牌
+ *   { token: { fill, borderColor, borderWidth, borders, borderOptions, shadow, shadows, elevation, innerShadows, blur, opacity, blendMode } }
+ * @param {Object} [options.elevations] - 投影层级令牌 { name: [shadow] }，与默认的 e1 ~ e4 合并
+ * @param {Object} [options.gradients] - 具名渐变 { name: { type, from, to, stops } }
+ * @returns {Object} { text, layer, color, fill, getTextStyles, getLayerStyles, getSwatches, getColorAssets, getGradientAssets }
+ */
+function createStyleLibrary(options) {
+  const { colorPalette } = options;
+  const typography = { ...DEFAULT_TYPOGRAPHY, ...(options.typography || {}) };
+  const surfaces = { ...DEFAULT_SURFACES, ...(options.surfaces || {}) };
+  const elevations = { ...DEFAULT_ELEVATIONS, ...(options.elevations || {}) };
+  const textStyles = new Map();
+  const layerStyles = new Map();
+  const swatches = new Map();
+  const gradients = options.gradients || {};
+  const anonymousGradients = new Map();
+
+  Object.keys(colorPalette).forEach(key => {
+    try {
+      swatches.set(key, createSwatch(key, colorPalette[key]));
+    } catch (error) {
+      throw new Error(`colors.${key}: ${error.message}`);
+    }
+  });
+
+  /**
+   * 解析颜色
+   * 调色板键名（如 "primary"）返回引用 swatch 的 Sketch 颜色对象，其他颜色值原样返回
+   */
+  function resolveColor(color) {
+    const swatch = swatches.get(color);
+    if (!swatch) return color;
+    return { ...swatch.value, swatchID: swatch.do_objectID };
+  }
+
+  /**
+   * 解析填充
+   * 支持颜色、调色板键名、渐变描述和具名渐变，渐变色标中的颜色同样可以写调色板键名；
+   * { color, opacity, blendMode } 中的 color 同样按上述规则解析
+   */
+  function resolveFill(fill) {
+    if (isColorFill(fill)) {
+      return { ...fill, color: resolveFill(fill.color) };
+    }
+    const gradient = typeof fill === "string" ? gradients[fill] : fill;
+    if (!isGradientSpec(gradient)) return resolveColor(fill);
+    return {
+      ...gradient,
+      stops: gradient.stops.map(stop => ({ ...stop, color: resolveColor(stop.color) }))
+    };
+  }
+
+  // 共享样式名称中的颜色部分：调色板键名和渐变名称原样使用，白色固定为 white，图片填充使用图片文件名；
+  // styles.color() 返回的 swatch 颜色使用调色板键名，其他颜色对象按 RGBA 命名
+  function colorName(color) {
+    if (swatches.has(color) || gradients[color]) return color;
+    if (color && color._class === "color") {
+      const swatch = Array.from(swatches.values()).find(item => item.do_objectID === color.swatchID);
+      return swatch ? swatch.name : colorHex(color);
+    }
+    if (isImageFill(color)) return `Image ${path.basename(color.image._ref)}`;
+    if (isColorFill(color)) {
+      const opacity = color.opacity !== undefined ? percent(color.opacity) : null;
+      return [colorName(color.color), opacity, color.blendMode].filter(Boolean).join(' ');
+    }
+    if (isGradientSpec(color)) {
+      const key = JSON.stringify(color);
+      if (!anonymousGradients.has(key)) {
+        anonymousGradients.set(key, `Gradient ${anonymousGradients.size + 1}`);
+      }
+      return anonymousGradients.get(key);
+    }
+    if (typeof color !== "string") return colorHex(parseColor(color));
+    return color.toUpperCase() === "#FFFFFF" ? "white" : color;
+  }
+
+  // 阴影颜色同样可以写调色板键名
+  function resolveShadowColors(shadows) {
+    return shadows.map(shadow => ({ ...shadow, color: shadow.color && resolveColor(shadow.color) }));
+  }
+
+  /**
+   * 解析表面令牌的阴影：elevation 引用投影层级令牌，shadows / shadow 直接描述阴影
+   */
+  function resolveShadows(definition) {
+    if (!definition.elevation) {
+      return resolveShadowColors(definition.shadows || (definition.shadow ? [definition.shadow] : []));
+    }
+    const shadows = elevations[definition.elevation];
+    if (!shadows) {
+      throw new Error(`Unknown elevation "${definition.elevation}". Available elevations: ${Object.keys(elevations).join(', ')}`);
+    }
+    return resolveShadowColors(shadows);
+  }
+
+  // 共享样式名称中的不透明度和混合模式部分，如 " 60% multiply"
+  function effectName(opacity, blendMode) {
+    const parts = [opacity !== undefined ? percent(opacity) : null, blendMode].filter(Boolean);
+    return parts.length > 0 ? ` ${parts.join(' ')}` : '';
+  }
+
+  /**
+   * 获取文本样式参数
+   * 同一令牌、对齐方式和颜色的组合共用一个共享文本样式，命名为 "token/Alignment/color"；
+   * 指定 opacity、blendMode 时每种组合单独生成共享样式，如 "token/Alignment/color 60% multiply"，图层与共享样式保持一致；
+   * 包含中文的文本按实际显示的 PingFang 字体和字号关联 "token/Alignment/color CJK" 共享样式，只在用到时生成
+   * @param {string} token - 排版令牌名称
+   * @param {Object} [overrides] - { color, alignment, sizing, pin, export, opacity, blendMode, visible, locked }，color 可以是调色板键名或颜色值；
+   *   color、alignment、opacity 和 blendMode 之外的参数不属于共享样式，原样透传给 createText
+   * @returns {Object} createText 的样式参数
+   */
+  function text(token, overrides = {}) {
+    const definition = typography[token];
+    if (!definition) {
+      throw new Error(`Unknown typography token "${token}". Available tokens: ${Object.keys(typography).join(', ')}`);
+    }
+
+    const colorKey = overrides.color || definition.color || "textPrimary";
+    const color = resolveColor(colorKey);
+    const alignment = overrides.alignment || definition.alignment || "left";
+    const name = `${token}/${capitalize(alignment)}/${colorName(colorKey)}${effectName(overrides.opacity, overrides.blendMode)}`;
+
+    function sharedTextStyleID(styleName, font) {
+      if (!textStyles.has(styleName)) {
+        textStyles.set(styleName, withIdRootScope(`textStyle:${styleName}`, () => createSharedStyle(styleName, createStyle({
+          fontFamily: font.fontFamily,
+          fontSize: font.fontSize,
+          color: parseColor(color),
+          alignment: textAlignment(alignment),
+          opacity: overrides.opacity,
+          blendMode: overrides.blendMode
+        }))));
+      }
+      return textStyles.get(styleName).do_objectID;
+    }
+
+    return {
+      fontFamily: definition.fontFamily,
+      fontSize: definition.fontSize,
+      color,
+      alignment,
+      sizing: overrides.sizing,
+      pin: overrides.pin,
+      export: overrides.export,
+      opacity: overrides.opacity,
+      blendMode: overrides.blendMode,
+      visible: overrides.visible,
+      locked: overrides.locked,
+      sharedStyleID: sharedTextStyleID(name, definition),
+      chineseSharedStyleID: () => sharedTextStyleID(`${name} CJK`, chineseDisplayFont(definition.fontFamily, definition.fontSize))
+    };
+  }
+
+  /**
+   * 获取图层样式参数
+   * 传入 fill 时生成派生样式 "token/color"，用于状态色、渐变背景等动态填充；
+   * opacity、blendMode 与令牌不同时同样生成派生样式，如 "token 60% multiply"、"token/color 60%"
+   * @param {string} token - 表面令牌名称
+   * @param {Object} [overrides] - { fill, cornerRadius, pin, export, opacity, blendMode, visible, locked }，
+   *   fill 可以是颜色、调色板键名、渐变描述、渐变名称、图片填充或 { color, opacity, blendMode }；
+   *   opacity、blendMode 覆盖令牌上的值；其余参数不属于共享样式，原样透传
+   * @returns {Object} createRectangle 的样式参数
+   */
+  function layer(token, overrides = {}) {
+    const definition = surfaces[token];
+    if (!definition) {
+      throw new Error(`Unknown surface token "${token}". Available tokens: ${Object.keys(surfaces).join(', ')}`);
+    }
+
+    const { fill: fillOverride, opacity: opacityOverride, blendMode: blendModeOverride, ...layerOptions } = overrides;
+    const fill = fillOverride || definition.fill;
+    const opacity = opacityOverride !== undefined ? opacityOverride : definition.opacity;
+    const blendMode = blendModeOverride || definition.blendMode;
+    const effect = effectName(
+      opacity !== definition.opacity ? opacity : undefined,
+      blendMode !== definition.blendMode ? blendMode : undefined
+    );
+    const name = (fillOverride ? `${token}/${colorName(fillOverride)}` : token) + effect;
+    const styleOptions = {
+      fills: fill ? [resolveFill(fill)] : [],
+      borderColor: definition.borderColor && resolveFill(definition.borderColor),
+      borderWidth: definition.borderWidth,
+      borders: definition.borders && definition.borders.map(border => ({ ...border, color: resolveFill(border.color) })),
+      borderOptions: definition.borderOptions,
+      shadows: resolveShadows(definition),
+      innerShadows: resolveShadowColors(definition.innerShadows || []),
+      blur: definition.blur,
+      opacity,
+      blendMode
+    };
+
+    if (!layerStyles.has(name)) {
+      layerStyles.set(name, withIdRootScope(`layerStyle:${name}`, () => createSharedStyle(name, createStyle(styleOptions))));
+    }
+
+    return {
+      ...styleOptions,
+      ...layerOptions,
+      sharedStyleID: layerStyles.get(name).do_objectID
+    };
+  }
+
+  return {
+    text,
+    layer,
+    color: resolveColor,
+    fill: resolveFill,
+    getTextStyles: () => Array.from(textStyles.values()),
+    getLayerStyles: () => Array.from(layerStyles.values()),
+    getSwatches: () => Array.from(swatches.values()),
+    getColorAssets: () => Array.from(swatches.values()).map(swatch => createColorAsset(swatch.name, swatch.value)),
+    getGradientAssets: () => Object.keys(gradients).map(name => createGradientAsset(name, resolveFill(name)))
+  };
+}
+
+module.exports = {
+  createStyleLibrary,
+  DEFAULT_TYPOGRAPHY,
+  DEFAULT_ELEVATIONS
+};
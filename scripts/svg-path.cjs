@@ -0,0 +1,367 @@
+/**
+ * SVG Path Parser
+ * 解析 SVG path 的 d 属性（M / L / H / V / C / S / Q / T / A / Z 及其相对坐标形式），
+ * 二次贝塞尔和圆弧转换为三次贝塞尔，结果为 Sketch 曲线点所需的节点列表
+ */
+
+const NUMBER_PATTERN = /[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/iy;
+const SEPARATOR_PATTERN = /[\s,]*/y;
+const COMMAND_PATTERN = /[MLHVCSQTAZ]/i;
+
+// 重合判断的容差
+const EPSILON = 1e-9;
+
+/**
+ * 创建 d 字符串读取器
+ */
+function createReader(d) {
+  let index = 0;
+
+  function skipSeparators() {
+    SEPARATOR_PATTERN.lastIndex = index;
+    SEPARATOR_PATTERN.exec(d);
+    index = SEPARATOR_PATTERN.lastIndex;
+  }
+
+  function fail(expected) {
+    const found = index < d.length ? `"${d[index]}"` : 'end of path';
+    throw new Error(`Invalid SVG path at position ${index}: expected ${expected}, found ${found}`);
+  }
+
+  return {
+    atEnd() {
+      skipSeparators();
+      return index >= d.length;
+    },
+    // 下一个是否为数字（用于判断命令参数是否重复出现）
+    hasNumber() {
+      skipSeparators();
+      return /[+\-.\d]/.test(d[index] || '');
+    },
+    readCommand() {
+      skipSeparators();
+      if (!COMMAND_PATTERN.test(d[index] || '')) {
+        fail('a path command');
+      }
+      return d[index++];
+    },
+    readNumber() {
+      skipSeparators();
+      NUMBER_PATTERN.lastIndex = index;
+      const match = NUMBER_PATTERN.exec(d);
+      if (!match) {
+        fail('a number');
+      }
+      index = NUMBER_PATTERN.lastIndex;
+      return parseFloat(match[0]);
+    },
+    // 圆弧的 large-arc-flag / sweep-flag 只有一位，可以与后面的数字连写，如 "a1 1 0 00 1 1"
+    readFlag() {
+      skipSeparators();
+      if (d[index] !== '0' && d[index] !== '1') {
+        fail('an arc flag (0 or 1)');
+      }
+      return d[index++] === '1';
+    }
+  };
+}
+
+function samePoint(a, b) {
+  return Math.abs(a.x - b.x) < EPSILON && Math.abs(a.y - b.y) < EPSILON;
+}
+
+/**
+ * 圆弧转换为三次贝塞尔（SVG 规范附录 F.6.5 端点参数化转中心参数化），每段不超过 90°
+ * @returns {Array} [{ c1, c2, end }]
+ */
+function arcToCubics(start, rx, ry, xAxisRotation, largeArc, sweep, end) {
+  if (samePoint(start, end)) {
+    return [];
+  }
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx < EPSILON || ry < EPSILON) {
+    return [{ c1: null, c2: null, end }];
+  }
+
+  const phi = xAxisRotation * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (start.x - end.x) / 2;
+  const dy = (start.y - end.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // 半径不足以连接两个端点时等比放大
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = coefficient * (rx * y1) / ry;
+  const cy1 = coefficient * -(ry * x1) / rx;
+  const cx = cos * cx1 - sin * cy1 + (start.x + end.x) / 2;
+  const cy = sin * cx1 + cos * cy1 + (start.y + end.y) / 2;
+
+  const angle = (ux, uy, vx, vy) => {
+    const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+    const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+    return sign * Math.acos(Math.min(1, Math.max(-1, dot)));
+  };
+  const theta1 = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2) - EPSILON);
+  const step = delta / segments;
+  const k = 4 / 3 * Math.tan(step / 4);
+  // 椭圆参数角 t 对应的点和切向量
+  const pointAt = (t) => ({
+    x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+  });
+  const tangentAt = (t) => ({
+    x: -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    y: -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+  });
+
+  const cubics = [];
+  for (let i = 0; i < segments; i++) {
+    const t1 = theta1 + i * step;
+    const t2 = t1 + step;
+    const p1 = pointAt(t1);
+    const p2 = i === segments - 1 ? end : pointAt(t2);
+    const d1 = tangentAt(t1);
+    const d2 = tangentAt(t2);
+    cubics.push({
+      c1: { x: p1.x + k * d1.x, y: p1.y + k * d1.y },
+      c2: { x: p2.x - k * d2.x, y: p2.y - k * d2.y },
+      end: p2
+    });
+  }
+  return cubics;
+}
+
+/**
+ * 解析 SVG path
+ * @param {string} d - path 的 d 属性
+ * @returns {Array} 子路径 [{ nodes: [{ x, y, curveTo, curveFrom }], closed }]，
+ *   curveTo 为进入该点的控制点，curveFrom 为离开该点的控制点，直线端点为 null
+ */
+function parseSvgPath(d) {
+  if (typeof d !== 'string' || d.trim() === '') {
+    throw new Error('Invalid SVG path: expected a non-empty "d" string');
+  }
+
+  const reader = createReader(d);
+  const subpaths = [];
+  let subpath = null;
+  let current = { x: 0, y: 0 };
+  let start = { x: 0, y: 0 };
+  // 上一段的第二个控制点，用于 S / T 的反射
+  let lastCubicControl = null;
+  let lastQuadControl = null;
+
+  function moveTo(point) {
+    subpath = { nodes: [{ x: point.x, y: point.y, curveTo: null, curveFrom: null }], closed: false };
+    subpaths.push(subpath);
+    current = point;
+    start = point;
+  }
+
+  // 子路径闭合后直接绘制时，从闭合点开始新的子路径
+  function ensureSubpath() {
+    if (!subpath || subpath.closed) {
+      moveTo(start);
+    }
+  }
+
+  function lineTo(point) {
+    ensureSubpath();
+    subpath.nodes.push({ x: point.x, y: point.y, curveTo: null, curveFrom: null });
+    current = point;
+  }
+
+  function cubicTo(c1, c2, point) {
+    ensureSubpath();
+    subpath.nodes[subpath.nodes.length - 1].curveFrom = c1;
+    subpath.nodes.push({ x: point.x, y: point.y, curveTo: c2, curveFrom: null });
+    current = point;
+  }
+
+  function closePath() {
+    if (!subpath || subpath.closed) return;
+    const nodes = subpath.nodes;
+    const first = nodes[0];
+    const last = nodes[nodes.length - 1];
+    // 终点与起点重合时合并为一个点，保留进入终点的控制点
+    if (nodes.length > 1 && samePoint(first, last)) {
+      first.curveTo = last.curveTo;
+      nodes.pop();
+    }
+    subpath.closed = true;
+    current = start;
+  }
+
+  let command = null;
+  while (!reader.atEnd()) {
+    if (command === null || !reader.hasNumber()) {
+      command = reader.readCommand();
+    } else if (command === 'Z' || command === 'z') {
+      command = reader.readCommand();
+    }
+
+    const relative = command === command.toLowerCase();
+    const offset = (x, y) => relative ? { x: current.x + x, y: current.y + y } : { x, y };
+    const readPoint = () => {
+      const x = reader.readNumber();
+      const y = reader.readNumber();
+      return offset(x, y);
+    };
+    let cubicControl = null;
+    let quadControl = null;
+
+    switch (command.toUpperCase()) {
+      case 'M':
+        moveTo(readPoint());
+        // M 之后重复出现的坐标视为 L
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        lineTo(readPoint());
+        break;
+      case 'H': {
+        const x = reader.readNumber();
+        lineTo({ x: relative ? current.x + x : x, y: current.y });
+        break;
+      }
+      case 'V': {
+        const y = reader.readNumber();
+        lineTo({ x: current.x, y: relative ? current.y + y : y });
+        break;
+      }
+      case 'C': {
+        const c1 = readPoint();
+        const c2 = readPoint();
+        const end = readPoint();
+        cubicTo(c1, c2, end);
+        cubicControl = c2;
+        break;
+      }
+      case 'S': {
+        const c1 = lastCubicControl
+          ? { x: 2 * current.x - lastCubicControl.x, y: 2 * current.y - lastCubicControl.y }
+          : current;
+        const c2 = readPoint();
+        const end = readPoint();
+        cubicTo(c1, c2, end);
+        cubicControl = c2;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const q = command.toUpperCase() === 'Q'
+          ? readPoint()
+          : (lastQuadControl
+            ? { x: 2 * current.x - lastQuadControl.x, y: 2 * current.y - lastQuadControl.y }
+            : current);
+        const end = readPoint();
+        const from = current;
+        cubicTo(
+          { x: from.x + 2 / 3 * (q.x - from.x), y: from.y + 2 / 3 * (q.y - from.y) },
+          { x: end.x + 2 / 3 * (q.x - end.x), y: end.y + 2 / 3 * (q.y - end.y) },
+          end
+        );
+        quadControl = q;
+        break;
+      }
+      case 'A': {
+        const rx = reader.readNumber();
+        const ry = reader.readNumber();
+        const rotation = reader.readNumber();
+        const largeArc = reader.readFlag();
+        const sweep = reader.readFlag();
+        const end = readPoint();
+        arcToCubics(current, rx, ry, rotation, largeArc, sweep, end).forEach(({ c1, c2, end: point }) => {
+          if (c1) {
+            cubicTo(c1, c2, point);
+          } else {
+            lineTo(point);
+          }
+        });
+        break;
+      }
+      case 'Z':
+        closePath();
+        break;
+    }
+
+    lastCubicControl = cubicControl;
+    lastQuadControl = quadControl;
+  }
+
+  return subpaths.filter(path => path.nodes.length > 1);
+}
+
+/**
+ * 三次贝塞尔在一个坐标轴上的极值参数 t（0 < t < 1）
+ */
+function cubicExtrema(p0, p1, p2, p3) {
+  // 导数 3(at² + bt + c)
+  const a = -p0 + 3 * p1 - 3 * p2 + p3;
+  const b = 2 * (p0 - 2 * p1 + p2);
+  const c = p1 - p0;
+  if (Math.abs(a) < EPSILON) {
+    return Math.abs(b) < EPSILON ? [] : [-c / b];
+  }
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return [];
+  const root = Math.sqrt(discriminant);
+  return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+}
+
+function cubicAt(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  return mt * mt * mt * p0 + 3 * mt * mt * t * p1 + 3 * mt * t * t * p2 + t * t * t * p3;
+}
+
+/**
+ * 计算子路径的精确外接矩形（包含曲线的极值点，不含控制点）
+ * @param {Array} subpaths - parseSvgPath 的结果
+ * @returns {Object} { x, y, width, height }
+ */
+function pathBounds(subpaths) {
+  const xs = [];
+  const ys = [];
+
+  subpaths.forEach(({ nodes, closed }) => {
+    nodes.forEach((node, index) => {
+      xs.push(node.x);
+      ys.push(node.y);
+      const next = index < nodes.length - 1 ? nodes[index + 1] : (closed ? nodes[0] : null);
+      if (!next || (!node.curveFrom && !next.curveTo)) return;
+
+      const c1 = node.curveFrom || node;
+      const c2 = next.curveTo || next;
+      [['x', xs], ['y', ys]].forEach(([axis, values]) => {
+        cubicExtrema(node[axis], c1[axis], c2[axis], next[axis])
+          .filter(t => t > 0 && t < 1)
+          .forEach(t => values.push(cubicAt(node[axis], c1[axis], c2[axis], next[axis], t)));
+      });
+    });
+  });
+
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+module.exports = {
+  parseSvgPath,
+  pathBounds
+};
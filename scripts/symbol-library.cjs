@@ -0,0 +1,79 @@
+/**
+ * Symbol Library
+ * 收集文档内重复使用的组件，生成 symbolMaster 并放到 "Symbols" 页面
+ */
+
+const { createSymbolMaster, createSymbolInstance, createPage } = require('./sketch-generator.cjs');
+const { withIdRootScope } = require('./id-provider.cjs');
+
+// Symbols 页面上相邻组件的垂直间距
+const SYMBOL_GAP = 40;
+
+/**
+ * 创建组件库
+ * 同一个 key 只生成一次 symbolMaster，之后的调用都复用它；master 在以 key 命名的 ID 作用域中生成
+ * @returns {Object} { instance, getMasters, createSymbolsPage }
+ */
+function createSymbolLibrary() {
+  const masters = new Map();
+  let nextY = 0;
+
+  /**
+   * 获取或创建 symbolMaster
+   * @param {string} key - 组件唯一标识（包含尺寸和样式）
+   * @param {string} name - 组件名称
+   * @param {Object} size - { width, height }
+   * @param {Function} buildLayers - 生成组件内图层的函数，坐标相对组件左上角
+   */
+  function define(key, name, size, buildLayers) {
+    if (!masters.has(key)) {
+      const master = withIdRootScope(`symbol:${key}`, () => createSymbolMaster(
+        name,
+        { x: 0, y: nextY, width: size.width, height: size.height },
+        buildLayers()
+      ));
+      masters.set(key, master);
+      nextY += size.height + SYMBOL_GAP;
+    }
+    return masters.get(key);
+  }
+
+  /**
+   * 放置组件实例
+   * @param {Object} definition - { key, name, size, build }
+   * @param {Object} position - 实例位置 { x, y }
+   * @param {Object} [overrides] - 文本覆盖值，键为 master 内文本图层名称
+   * @param {string} [name] - 实例名称
+   */
+  function instance(definition, position, overrides = {}, name) {
+    const { key, size, build } = definition;
+    const master = define(key, definition.name, size, build);
+    return createSymbolInstance(
+      master,
+      { x: position.x, y: position.y, width: size.width, height: size.height },
+      overrides,
+      name
+    );
+  }
+
+  function getMasters() {
+    return Array.from(masters.values());
+  }
+
+  /**
+   * 生成 Symbols 页面，没有组件时返回 null
+   */
+  function createSymbolsPage() {
+    return masters.size > 0 ? createPage("Symbols", getMasters()) : null;
+  }
+
+  return {
+    instance,
+    getMasters,
+    createSymbolsPage
+  };
+}
+
+module.exports = {
+  createSymbolLibrary
+};
@@ -0,0 +1,232 @@
+/**
+ * Text Metrics
+ * 根据字体字宽表估算文本尺寸，支持拉丁字符和中日韩（CJK）字符混排、自动换行
+ * 估算值用于文本图层的自动宽度 / 自动高度，以及模块内按实际高度排列内容
+ *
+ * 拉丁字符使用各字体 ASCII 字形的实际字宽（取自 Roboto 3 和 PingFang SC 的 hmtx 表），
+ * 不计字偶距（kerning）和连字，其他字符按平均宽度估算，与 Sketch 的实际排版可能相差几个像素
+ */
+
+// 与 createText 的 paragraphStyle 保持一致：行高 = 字号 × 1.2，一行中有多个字号时取最大的字号
+const LINE_HEIGHT_RATIO = 1.2;
+
+/**
+ * ASCII 可见字符（0x20 ~ 0x7E）的字宽，单位 1/2048 em
+ */
+const ROBOTO_LIGHT_ADVANCES = [
+  499, 463, 589, 1191, 1136, 1514, 1261, 349, 654, 668, 869, 1157, 393, 587, 490, 814,
+  1136, 1136, 1136, 1136, 1136, 1136, 1136, 1136, 1136, 1136, 430, 399, 1047, 1133, 1062, 931,
+  1871, 1280, 1256, 1330, 1342, 1165, 1152, 1401, 1450, 546, 1128, 1293, 1080, 1772, 1455, 1387,
+  1261, 1387, 1301, 1214, 1223, 1347, 1264, 1836, 1254, 1227, 1226, 491, 808, 491, 853, 885,
+  585, 1098, 1136, 1056, 1138, 1059, 679, 1137, 1125, 460, 468, 1004, 460, 1816, 1126, 1148,
+  1136, 1143, 690, 1038, 659, 1125, 985, 1545, 997, 974, 997, 677, 453, 677, 1403
+];
+
+const ROBOTO_REGULAR_ADVANCES = [
+  508, 528, 656, 1261, 1151, 1500, 1274, 358, 701, 713, 882, 1162, 403, 566, 540, 845,
+  1151, 1151, 1151, 1151, 1151, 1151, 1151, 1151, 1151, 1151, 496, 433, 1041, 1124, 1071, 968,
+  1839, 1336, 1276, 1333, 1344, 1164, 1132, 1395, 1461, 557, 1130, 1285, 1103, 1788, 1461, 1409,
+  1292, 1409, 1262, 1216, 1222, 1328, 1304, 1817, 1284, 1230, 1227, 543, 841, 543, 856, 924,
+  633, 1114, 1150, 1072, 1155, 1086, 712, 1150, 1128, 498, 490, 1038, 498, 1796, 1131, 1168,
+  1150, 1164, 694, 1057, 670, 1129, 992, 1539, 1016, 969, 1016, 693, 500, 693, 1393
+];
+
+const ROBOTO_MEDIUM_ADVANCES = [
+  509, 542, 654, 1235, 1164, 1508, 1313, 343, 709, 716, 908, 1137, 458, 696, 569, 799,
+  1164, 1164, 1164, 1164, 1164, 1164, 1164, 1164, 1164, 1164, 540, 491, 1042, 1152, 1064, 996,
+  1837, 1358, 1293, 1337, 1337, 1157, 1128, 1395, 1453, 580, 1138, 1294, 1106, 1791, 1453, 1411,
+  1307, 1411, 1289, 1240, 1248, 1340, 1322, 1803, 1293, 1251, 1235, 556, 853, 556, 878, 917,
+  656, 1104, 1151, 1069, 1154, 1097, 723, 1161, 1138, 522, 514, 1068, 522, 1784, 1140, 1162,
+  1151, 1159, 724, 1054, 682, 1139, 1016, 1520, 1030, 1003, 1030, 683, 509, 683, 1357
+];
+
+const ROBOTO_BOLD_ADVANCES = [
+  509, 554, 652, 1213, 1175, 1514, 1347, 330, 716, 719, 930, 1116, 504, 807, 594, 760,
+  1175, 1175, 1175, 1175, 1175, 1175, 1175, 1175, 1175, 1175, 577, 539, 1044, 1175, 1057, 1019,
+  1836, 1376, 1307, 1340, 1331, 1152, 1124, 1396, 1446, 599, 1144, 1302, 1108, 1793, 1445, 1412,
+  1320, 1412, 1312, 1261, 1269, 1350, 1338, 1792, 1300, 1268, 1243, 567, 863, 567, 897, 911,
+  676, 1096, 1152, 1067, 1153, 1106, 733, 1170, 1147, 542, 533, 1094, 542, 1774, 1148, 1156,
+  1152, 1155, 750, 1052, 693, 1147, 1037, 1504, 1042, 1031, 1042, 675, 516, 675, 1327
+];
+
+// PingFang SC 的拉丁字形（1000 units/em 换算为 1/2048 em），数字为比例宽度
+const PINGFANG_REGULAR_ADVANCES = [
+  682, 682, 874, 1229, 1229, 1987, 1487, 500, 682, 682, 1036, 1239, 541, 1239, 541, 1024,
+  1229, 821, 1229, 1229, 1229, 1229, 1229, 1120, 1229, 1229, 541, 541, 1239, 1239, 1239, 1100,
+  1757, 1346, 1386, 1491, 1446, 1305, 1182, 1532, 1475, 485, 1059, 1413, 1204, 1806, 1473, 1571,
+  1315, 1571, 1384, 1294, 1268, 1462, 1309, 1905, 1305, 1356, 1278, 682, 1024, 682, 1061, 1024,
+  682, 1145, 1200, 1120, 1200, 1137, 764, 1210, 1139, 524, 547, 1083, 481, 1751, 1145, 1200,
+  1200, 1200, 748, 1034, 727, 1147, 987, 1546, 1042, 1016, 997, 682, 399, 682, 1024
+];
+
+/**
+ * 各字体的字宽
+ * advances 为 ASCII 字宽表（1/2048 em）；cjk 为全角字符宽度（em），other 为其他字符的平均宽度（em）
+ */
+const FONT_METRICS = {
+  'Roboto-Light': { advances: ROBOTO_LIGHT_ADVANCES, cjk: 1.0, other: 0.55 },
+  'Roboto-Regular': { advances: ROBOTO_REGULAR_ADVANCES, cjk: 1.0, other: 0.56 },
+  'Roboto-Medium': { advances: ROBOTO_MEDIUM_ADVANCES, cjk: 1.0, other: 0.57 },
+  'Roboto-Bold': { advances: ROBOTO_BOLD_ADVANCES, cjk: 1.0, other: 0.58 },
+  'PingFangSC-Regular': { advances: PINGFANG_REGULAR_ADVANCES, cjk: 1.0, other: 0.55 }
+};
+
+const DEFAULT_FONT = 'Roboto-Regular';
+
+// 全角字符：CJK 统一表意文字、假名、谚文、全角标点和符号
+const CJK_PATTERN = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}]/u;
+
+// emoji 按 1.2 em 估算
+const EMOJI_PATTERN = /[\u2600-\u27BF\u{1F000}-\u{1FAFF}]/u;
+
+// 不占宽度的字符：组合附加符号、零宽字符、变体选择符、肤色修饰符
+const ZERO_WIDTH_PATTERN = /[\u0300-\u036F\u200B-\u200F\uFE00-\uFE0F\u{1F3FB}-\u{1F3FF}]/u;
+
+/**
+ * 获取字体字宽表，未知字体使用 Roboto Regular
+ */
+function getFontMetrics(fontFamily) {
+  return FONT_METRICS[fontFamily] || FONT_METRICS[DEFAULT_FONT];
+}
+
+/**
+ * 估算单个字符（码点）的宽度
+ */
+function charWidth(char, fontFamily, fontSize) {
+  const metrics = getFontMetrics(fontFamily);
+  const code = char.codePointAt(0);
+
+  if (code >= 0x20 && code <= 0x7E) {
+    return metrics.advances[code - 0x20] / 2048 * fontSize;
+  }
+  if (ZERO_WIDTH_PATTERN.test(char)) return 0;
+  if (CJK_PATTERN.test(char)) return metrics.cjk * fontSize;
+  if (EMOJI_PATTERN.test(char)) return 1.2 * fontSize;
+  return metrics.other * fontSize;
+}
+
+/**
+ * 拆分为逐字符的字形列表，字符串或样式片段数组均可
+ */
+function toGlyphs(text, fontFamily, fontSize) {
+  const runs = typeof text === 'string' ? [{ text }] : text;
+  const glyphs = [];
+  runs.forEach(run => {
+    const runFont = run.fontFamily || fontFamily;
+    const runSize = run.fontSize || fontSize;
+    for (const char of run.text) {
+      glyphs.push({
+        char,
+        fontSize: runSize,
+        width: char === '\n' ? 0 : charWidth(char, runFont, runSize),
+        isSpace: char === ' ' || char === '\t',
+        isNewline: char === '\n',
+        isCJK: CJK_PATTERN.test(char)
+      });
+    }
+  });
+  return glyphs;
+}
+
+/**
+ * 行高：行内最大字号 × 1.2，空行使用默认字号
+ */
+function lineHeightOf(glyphs, fontSize) {
+  const size = glyphs.reduce((max, glyph) => Math.max(max, glyph.fontSize), 0) || fontSize;
+  return size * LINE_HEIGHT_RATIO;
+}
+
+function lineWidth(glyphs) {
+  // 行尾空格不计入宽度
+  let end = glyphs.length;
+  while (end > 0 && glyphs[end - 1].isSpace) end--;
+  return glyphs.slice(0, end).reduce((sum, glyph) => sum + glyph.width, 0);
+}
+
+/**
+ * 最后一个可断行字形（空格或 CJK 字符）的位置，没有时返回 -1
+ */
+function lastBreakIndex(glyphs) {
+  for (let i = glyphs.length - 1; i >= 0; i--) {
+    if (glyphs[i].isSpace || glyphs[i].isCJK) return i;
+  }
+  return -1;
+}
+
+/**
+ * 按最大宽度贪心换行
+ * 拉丁文本在空格处断行，CJK 字符前后均可断行，单词超过行宽时按字符断开
+ */
+function wrapGlyphs(glyphs, maxWidth) {
+  const lines = [];
+  let current = [];
+  let currentWidth = 0;
+  let breakIndex = -1;
+
+  glyphs.forEach(glyph => {
+    if (glyph.isNewline) {
+      lines.push(current);
+      current = [];
+      currentWidth = 0;
+      breakIndex = -1;
+      return;
+    }
+
+    if (maxWidth !== undefined && !glyph.isSpace && current.length > 0 && currentWidth + glyph.width > maxWidth) {
+      // CJK 字符前直接断行，否则回到最近的断行点，没有断行点时按字符断开
+      const splitAt = glyph.isCJK || breakIndex < 0 ? current.length : breakIndex + 1;
+      lines.push(current.slice(0, splitAt));
+      current = current.slice(splitAt);
+      while (current.length > 0 && current[0].isSpace) current.shift();
+      currentWidth = current.reduce((sum, g) => sum + g.width, 0);
+      breakIndex = lastBreakIndex(current);
+    }
+
+    // 自动换行后的行首空格丢弃
+    if (glyph.isSpace && current.length === 0 && lines.length > 0) {
+      return;
+    }
+
+    current.push(glyph);
+    currentWidth += glyph.width;
+    if (glyph.isSpace || glyph.isCJK) {
+      breakIndex = current.length - 1;
+    }
+  });
+  lines.push(current);
+
+  return lines;
+}
+
+/**
+ * 估算文本尺寸
+ * @param {string|Array} text - 纯文本或样式片段数组 [{ text, fontFamily, fontSize }]
+ * @param {Object} [options]
+ * @param {string} [options.fontFamily='Roboto-Regular'] - 字体（片段未指定时使用）
+ * @param {number} [options.fontSize=16] - 字号（片段未指定时使用）
+ * @param {number} [options.maxWidth] - 最大宽度，超出时自动换行；不传则只在换行符处换行
+ * @returns {Object} { width, height, lineHeights, lines }，lineHeights、lines 为每行的行高和文本，
+ *   行高取行内最大字号 × 1.2
+ */
+function measureText(text, options = {}) {
+  const fontFamily = options.fontFamily || DEFAULT_FONT;
+  const fontSize = options.fontSize || 16;
+
+  const lines = wrapGlyphs(toGlyphs(text, fontFamily, fontSize), options.maxWidth);
+  const width = Math.max(0, ...lines.map(lineWidth));
+  const lineHeights = lines.map(line => lineHeightOf(line, fontSize));
+
+  return {
+    width: Math.ceil(width),
+    height: Math.ceil(lineHeights.reduce((sum, height) => sum + height, 0)),
+    lineHeights,
+    lines: lines.map(line => line.map(glyph => glyph.char).join(''))
+  };
+}
+
+module.exports = {
+  measureText,
+  charWidth,
+  FONT_METRICS,
+  LINE_HEIGHT_RATIO
+};
@@ -0,0 +1,44 @@
+/**
+ * CSS 颜色解析测试
+ * 运行：node tests/color-parser.test.cjs
+ */
+
+const assert = require('assert');
+const { test, run } = require('./helpers.cjs');
+const { parseCssColor } = require('../scripts/color-parser.cjs');
+
+const RED = { red: 1, green: 0, blue: 0, alpha: 1 };
+
+test('解析 #RGB、#RRGGBB 和带透明度的十六进制颜色', () => {
+  assert.deepStrictEqual(parseCssColor('#F00'), RED);
+  assert.deepStrictEqual(parseCssColor('#ff0000'), RED);
+  assert.deepStrictEqual(parseCssColor('#0067D1'), { red: 0, green: 103 / 255, blue: 209 / 255, alpha: 1 });
+  assert.strictEqual(parseCssColor('#f008').alpha, 0x88 / 255);
+  assert.strictEqual(parseCssColor('#FF000080').alpha, 0x80 / 255);
+});
+
+test('解析 rgb()/rgba() 的逗号、空格和百分比写法', () => {
+  assert.deepStrictEqual(parseCssColor('rgba(255, 0, 0, 0.5)'), { ...RED, alpha: 0.5 });
+  assert.deepStrictEqual(parseCssColor('rgb(255 0 0 / 50%)'), { ...RED, alpha: 0.5 });
+  assert.deepStrictEqual(parseCssColor('rgb(100%, 0%, 0%)'), RED);
+});
+
+test('解析 hsl()/hsla()，色相可带 deg 单位', () => {
+  assert.deepStrictEqual(parseCssColor('hsl(120, 100%, 50%)'), { red: 0, green: 1, blue: 0, alpha: 1 });
+  assert.deepStrictEqual(parseCssColor('hsl(120deg 100% 50%)'), { red: 0, green: 1, blue: 0, alpha: 1 });
+  assert.deepStrictEqual(parseCssColor('hsla(240 100% 50% / 0.25)'), { red: 0, green: 0, blue: 1, alpha: 0.25 });
+});
+
+test('解析命名颜色和 transparent，不区分大小写并忽略首尾空格', () => {
+  assert.deepStrictEqual(parseCssColor('  Red '), RED);
+  assert.deepStrictEqual(parseCssColor('RebeccaPurple'), { red: 0.4, green: 0.2, blue: 0.6, alpha: 1 });
+  assert.deepStrictEqual(parseCssColor('transparent'), { red: 0, green: 0, blue: 0, alpha: 0 });
+});
+
+test('无法解析的颜色返回 null', () => {
+  ['#12345', 'rgb(1,2)', 'nope', ''].forEach(value => {
+    assert.strictEqual(parseCssColor(value), null, value);
+  });
+});
+
+run();
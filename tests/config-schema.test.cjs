@@ -0,0 +1,95 @@
+/**
+ * 配置校验测试
+ * 运行：node tests/config-schema.test.cjs
+ */
+
+const assert = require('assert');
+const { test, run } = require('./helpers.cjs');
+const { generateSketchJSON } = require('../scripts/sketch-api.cjs');
+const { validateConfig, assertValidConfig } = require('../scripts/config-schema.cjs');
+const { registerModule } = require('../scripts/module-registry.cjs');
+
+const MODULE_PATH = 'pages[0].artboards[0].modules[0]';
+
+function configWith(modules, extra = {}) {
+  return {
+    ...extra,
+    pages: [{ name: 'Flow', artboards: [{ name: 'List', size: { width: 393, height: 852 }, modules }] }]
+  };
+}
+
+function errorsOf(modules, extra) {
+  return validateConfig(configWith(modules, extra)).errors;
+}
+
+test('dataTable 有 rows 时必须提供 columns', () => {
+  assert.deepStrictEqual(errorsOf([{ type: 'dataTable', rows: [['1']] }]), [
+    { path: `${MODULE_PATH}.columns`, message: 'required' }
+  ]);
+  assert.deepStrictEqual(errorsOf([{ type: 'dataTable', columns: [{ name: 'A' }], rows: [['1']] }]), []);
+});
+
+test('bottomNav 的每一项需要 text 或 label', () => {
+  assert.deepStrictEqual(errorsOf([{ type: 'bottomNav', items: [{ icon: 'home' }] }]), [
+    { path: `${MODULE_PATH}.items[0]`, message: 'requires one of: text, label' }
+  ]);
+  assert.deepStrictEqual(errorsOf([{ type: 'bottomNav', items: [{ label: '首页', icon: 'home' }, '我的'] }]), []);
+});
+
+test('header 的 rightIcons 对象需要 icon', () => {
+  assert.deepStrictEqual(errorsOf([{ type: 'header', rightIcons: ['search', { link: 'List' }] }]), [
+    { path: `${MODULE_PATH}.rightIcons[1].icon`, message: 'required' }
+  ]);
+});
+
+test('未知的模块类型给出拼写建议', () => {
+  assert.deepStrictEqual(errorsOf([{ type: 'heor' }]), [
+    { path: `${MODULE_PATH}.type`, message: 'unknown value "heor", did you mean "hero"?' }
+  ]);
+});
+
+test('类型不符和通用字段的必需项', () => {
+  assert.deepStrictEqual(errorsOf([{ type: 'header', height: '56', layout: { gap: 4 } }]), [
+    { path: `${MODULE_PATH}.height`, message: 'expected number, got string' },
+    { path: `${MODULE_PATH}.layout.axis`, message: 'required' }
+  ]);
+});
+
+test('additionalProperties 为 schema 时按其校验每个值', () => {
+  assert.deepStrictEqual(errorsOf([], { colors: { primary: 123 } }), [
+    { path: 'colors.primary', message: 'expected string, got number' }
+  ]);
+});
+
+test('未声明的字段为警告并给出拼写建议', () => {
+  const { valid, warnings } = validateConfig(configWith([{ type: 'header', titel: '订单' }]));
+  assert.strictEqual(valid, true);
+  assert.deepStrictEqual(warnings, [{ path: `${MODULE_PATH}.titel`, message: 'unknown field, did you mean "title"?' }]);
+});
+
+test('没有 schema 的模块接受任意字段', () => {
+  registerModule('schemalessTest', () => []);
+  const { errors, warnings } = validateConfig(configWith([{ type: 'schemalessTest', anything: 1 }]));
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('assertValidConfig 抛出的错误列出全部错误', () => {
+  assert.throws(() => assertValidConfig(configWith([{ type: 'dataTable', rows: [] }, { type: 'heor' }])), error => {
+    assert.deepStrictEqual(error.errors.map(issue => issue.path), [
+      `${MODULE_PATH}.columns`,
+      'pages[0].artboards[0].modules[1].type'
+    ]);
+    assert.ok(error.message.startsWith('Invalid config:\n'));
+    return true;
+  });
+});
+
+test('generateSketchJSON 在不可枚举的 warnings 属性上返回警告', () => {
+  const document = generateSketchJSON(configWith([{ type: 'header', titel: '订单' }]));
+  assert.deepStrictEqual(document.warnings, [`${MODULE_PATH}.titel: unknown field, did you mean "title"?`]);
+  assert.strictEqual(Object.keys(document).includes('warnings'), false);
+  assert.strictEqual(JSON.stringify(document).includes('"warnings"'), false);
+});
+
+run();
@@ -0,0 +1,28 @@
+/**
+ * 测试辅助
+ * 测试文件用 test() 登记用例，最后调用 run() 依次执行；有失败的用例时进程以非 0 退出
+ */
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function run() {
+  let failed = 0;
+  tests.forEach(({ name, fn }) => {
+    try {
+      fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`✗ ${name}\n  ${error.message}`);
+    }
+  });
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { test, run };
@@ -0,0 +1,82 @@
+/**
+ * 种子 ID 稳定性测试
+ * 运行：node tests/id-provider.test.cjs
+ */
+
+const assert = require('assert');
+const { test, run } = require('./helpers.cjs');
+const { generateSketchJSON } = require('../scripts/sketch-api.cjs');
+
+function baseConfig(modules) {
+  return {
+    seed: 'stable',
+    pages: [
+      { name: 'Flow', artboards: [
+        { name: 'List', size: { width: 393, height: 852 }, modules },
+        { name: 'Detail', size: { width: 393, height: 852 }, modules: [
+          { type: 'actionButtons', height: 64, buttons: [{ text: '提交', primary: true }] }
+        ] }
+      ] }
+    ]
+  };
+}
+
+const MODULES = [
+  { type: 'header', height: 56, title: '订单' },
+  { type: 'dataTable', height: 200, columns: [{ name: 'A', width: 100 }], rows: [['1'], ['2']] },
+  { type: 'actionButtons', height: 64, buttons: [{ text: '提交', primary: true }] }
+];
+
+// 按名称收集 ID，便于比较两次生成中同名对象的 ID
+function idsByName(items) {
+  return Object.fromEntries(items.map(item => [item.name, item.do_objectID]));
+}
+
+function layerIds(layer) {
+  return [layer.do_objectID, ...(layer.layers || []).flatMap(layerIds)];
+}
+
+function generatePair() {
+  const before = generateSketchJSON(baseConfig(MODULES));
+  // 在最前面插入一个新类型的模块，它会最先使用标题样式和按钮 Symbol
+  const after = generateSketchJSON(baseConfig([
+    { type: 'hero', height: 200, title: '精选', cta: '购买' },
+    { type: 'actionButtons', name: 'Top Actions', height: 64, buttons: [{ text: '提交', primary: true }] },
+    ...MODULES
+  ]));
+  return { before, after };
+}
+
+test('插入模块后其他模块的图层 ID 不变', () => {
+  const { before, after } = generatePair();
+  const beforeModules = before.pages[0].layers[0].layers.slice(1);
+  const afterModules = after.pages[0].layers[0].layers.slice(3);
+  assert.deepStrictEqual(afterModules.map(layerIds), beforeModules.map(layerIds));
+});
+
+test('插入模块后已有的共享样式 ID 不变', () => {
+  const { before, after } = generatePair();
+  const afterText = idsByName(after.layerTextStyles.objects);
+  const afterLayer = idsByName(after.layerStyles.objects);
+  before.layerTextStyles.objects.forEach(style => assert.strictEqual(afterText[style.name], style.do_objectID, style.name));
+  before.layerStyles.objects.forEach(style => assert.strictEqual(afterLayer[style.name], style.do_objectID, style.name));
+});
+
+test('插入模块后已有的 Symbol ID 不变', () => {
+  const { before, after } = generatePair();
+  const symbols = doc => doc.pages.find(page => page.name === 'Symbols').layers;
+  const afterSymbols = symbols(after);
+  symbols(before).forEach(master => {
+    const match = afterSymbols.find(candidate => candidate.name === master.name);
+    assert.ok(match, master.name);
+    assert.strictEqual(match.symbolID, master.symbolID, master.name);
+    assert.deepStrictEqual(layerIds(match), layerIds(master), master.name);
+  });
+});
+
+test('其他画板的图层 ID 不变', () => {
+  const { before, after } = generatePair();
+  assert.deepStrictEqual(layerIds(after.pages[0].layers[1]), layerIds(before.pages[0].layers[1]));
+});
+
+run();
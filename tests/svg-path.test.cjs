@@ -0,0 +1,56 @@
+/**
+ * SVG path 解析测试
+ * 运行：node tests/svg-path.test.cjs
+ */
+
+const assert = require('assert');
+const { test, run } = require('./helpers.cjs');
+const { parseSvgPath, pathBounds } = require('../scripts/svg-path.cjs');
+
+function points(subpath) {
+  return subpath.nodes.map(node => [node.x, node.y]);
+}
+
+test('直线命令生成无控制点的节点，Z 闭合子路径', () => {
+  const [subpath] = parseSvgPath('M0 0L10 0L10 10Z');
+  assert.deepStrictEqual(points(subpath), [[0, 0], [10, 0], [10, 10]]);
+  assert.ok(subpath.nodes.every(node => node.curveTo === null && node.curveFrom === null));
+  assert.strictEqual(subpath.closed, true);
+});
+
+test('相对坐标和 H / V 命令', () => {
+  const [subpath] = parseSvgPath('m1 1h4v4h-4z');
+  assert.deepStrictEqual(points(subpath), [[1, 1], [5, 1], [5, 5], [1, 5]]);
+});
+
+test('M 之后的坐标对按 L 处理，数字之间可以省略分隔符', () => {
+  assert.deepStrictEqual(points(parseSvgPath('M0 0 10 10')[0]), [[0, 0], [10, 10]]);
+  assert.deepStrictEqual(points(parseSvgPath('M0,0l5-5')[0]), [[0, 0], [5, -5]]);
+});
+
+test('二次贝塞尔转换为三次贝塞尔控制点', () => {
+  const [subpath] = parseSvgPath('M0 0Q5 10 10 0');
+  const [start, end] = subpath.nodes;
+  assert.ok(Math.abs(start.curveFrom.x - 10 / 3) < 1e-9 && Math.abs(start.curveFrom.y - 20 / 3) < 1e-9);
+  assert.ok(Math.abs(end.curveTo.x - 20 / 3) < 1e-9 && Math.abs(end.curveTo.y - 20 / 3) < 1e-9);
+});
+
+test('S 命令的第一个控制点为上一段控制点的对称点', () => {
+  const [, middle] = parseSvgPath('M0 0C0 10 10 10 10 0S20 -10 20 0')[0].nodes;
+  assert.deepStrictEqual(middle.curveTo, { x: 10, y: 10 });
+  assert.deepStrictEqual(middle.curveFrom, { x: 10, y: -10 });
+});
+
+test('外接矩形包含曲线极值点而不是控制点', () => {
+  assert.deepStrictEqual(pathBounds(parseSvgPath('M0 0Q5 10 10 0')), { x: 0, y: 0, width: 10, height: 5 });
+  const arc = pathBounds(parseSvgPath('M0 0A5 5 0 0 1 10 0'));
+  assert.strictEqual(arc.x, 0);
+  assert.ok(Math.abs(arc.y + 5) < 1e-9 && Math.abs(arc.width - 10) < 1e-9 && Math.abs(arc.height - 5) < 1e-9);
+});
+
+test('语法错误报告位置和期望的内容', () => {
+  assert.throws(() => parseSvgPath('M0 0L'), /position 5: expected a number, found end of path/);
+  assert.throws(() => parseSvgPath('M0 0 X'), /position 5: expected a path command, found "X"/);
+});
+
+run();
@@ -0,0 +1,65 @@
+/**
+ * 组件库测试
+ * 运行：node tests/symbol-library.test.cjs
+ */
+
+const assert = require('assert');
+const { test, run } = require('./helpers.cjs');
+const { createSymbolLibrary } = require('../scripts/symbol-library.cjs');
+const { createRectangle, createText } = require('../scripts/sketch-generator.cjs');
+
+function buttonDefinition(key, build) {
+  return {
+    key,
+    name: 'Button/Primary',
+    size: { width: 120, height: 40 },
+    build: build || (() => [
+      createRectangle({ x: 0, y: 0, width: 120, height: 40 }, {}, 'Background'),
+      createText('Button', { x: 0, y: 10, width: 120 }, { sizing: 'fixed' })
+    ])
+  };
+}
+
+test('同一个 key 只生成一个 master，实例引用同一个 symbolID', () => {
+  const symbols = createSymbolLibrary();
+  let builds = 0;
+  const definition = buttonDefinition('Button|primary', () => {
+    builds++;
+    return [createRectangle({ x: 0, y: 0, width: 120, height: 40 }, {}, 'Background')];
+  });
+  const first = symbols.instance(definition, { x: 0, y: 0 });
+  const second = symbols.instance(definition, { x: 0, y: 60 });
+  assert.strictEqual(builds, 1);
+  assert.strictEqual(symbols.getMasters().length, 1);
+  assert.strictEqual(first.symbolID, symbols.getMasters()[0].symbolID);
+  assert.strictEqual(second.symbolID, first.symbolID);
+  assert.deepStrictEqual([second.frame.x, second.frame.y, second.frame.width, second.frame.height], [0, 60, 120, 40]);
+});
+
+test('不同的 key 生成不同的 master，在 Symbols 页面上依次向下排列', () => {
+  const symbols = createSymbolLibrary();
+  symbols.instance(buttonDefinition('a'), { x: 0, y: 0 });
+  symbols.instance(buttonDefinition('b'), { x: 0, y: 0 });
+  const [a, b] = symbols.getMasters();
+  assert.notStrictEqual(a.symbolID, b.symbolID);
+  assert.strictEqual(b.frame.y, a.frame.y + a.frame.height + 40);
+  const page = symbols.createSymbolsPage();
+  assert.strictEqual(page.name, 'Symbols');
+  assert.deepStrictEqual(page.layers, [a, b]);
+});
+
+test('文本覆盖值按 master 内文本图层名称生成', () => {
+  const symbols = createSymbolLibrary();
+  const instance = symbols.instance(buttonDefinition('text'), { x: 0, y: 0 }, { Button: '提交', Missing: 'x' }, 'Submit');
+  const text = symbols.getMasters()[0].layers.find(layer => layer._class === 'text');
+  assert.strictEqual(instance.name, 'Submit');
+  assert.deepStrictEqual(instance.overrideValues.map(({ overrideName, value }) => ({ overrideName, value })), [
+    { overrideName: `${text.do_objectID}_stringValue`, value: '提交' }
+  ]);
+});
+
+test('没有组件时不生成 Symbols 页面', () => {
+  assert.strictEqual(createSymbolLibrary().createSymbolsPage(), null);
+});
+
+run();
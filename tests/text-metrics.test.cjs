@@ -0,0 +1,59 @@
+/**
+ * 文本尺寸估算测试
+ * 运行：node tests/text-metrics.test.cjs
+ */
+
+const assert = require('assert');
+const { test, run } = require('./helpers.cjs');
+const { createText } = require('../scripts/sketch-generator.cjs');
+const { measureText, LINE_HEIGHT_RATIO } = require('../scripts/text-metrics.cjs');
+
+function renderedFontSize(layer) {
+  return layer.style.textStyle.encodeAttributes.MSAttributedStringFontAttribute.attributes.size;
+}
+
+test('中文文本按显示字号估算高度', () => {
+  const layer = createText('订单详情', { x: 0, y: 0, width: 200 }, { fontSize: 16 });
+  const fontSize = renderedFontSize(layer);
+  assert.strictEqual(fontSize, 19);
+  assert.strictEqual(layer.frame.height, Math.ceil(fontSize * LINE_HEIGHT_RATIO));
+});
+
+test('中文文本按显示字号换行', () => {
+  const layer = createText('订单详情信息', { x: 0, y: 0, width: 60 }, { fontSize: 16 });
+  const fontSize = renderedFontSize(layer);
+  const expected = measureText('订单详情信息', { fontFamily: 'PingFangSC-Regular', fontSize, maxWidth: 60 });
+  assert.deepStrictEqual(expected.lines, ['订单详', '情信息']);
+  assert.strictEqual(layer.frame.height, expected.height);
+});
+
+test('中文文本自动宽度按显示字号计算', () => {
+  const layer = createText('提交', { x: 0, y: 0 }, { fontSize: 16, sizing: 'autoWidth' });
+  assert.strictEqual(layer.frame.width, 2 * renderedFontSize(layer));
+});
+
+test('换行后在最近的空格处断行', () => {
+  const { lines } = measureText('hello world again', { fontSize: 16, maxWidth: 90 });
+  assert.deepStrictEqual(lines, ['hello world ', 'again']);
+});
+
+test('粗体按自身字宽表估算，比常规体更宽', () => {
+  const regular = measureText('Checkout', { fontFamily: 'Roboto-Regular', fontSize: 16 });
+  const bold = measureText('Checkout', { fontFamily: 'Roboto-Bold', fontSize: 16 });
+  assert.ok(bold.width > regular.width);
+});
+
+test('富文本行高取该行最大片段字号', () => {
+  const runs = [{ text: 'Total ' }, { text: '¥1,200', fontSize: 24 }];
+  const { height, lineHeights } = measureText(runs, { fontSize: 14 });
+  assert.deepStrictEqual(lineHeights, [24 * LINE_HEIGHT_RATIO]);
+  assert.strictEqual(height, Math.ceil(24 * LINE_HEIGHT_RATIO));
+
+  const layer = createText(runs, { x: 0, y: 0, width: 300 }, { fontSize: 14 });
+  const lineHeightsByRun = layer.attributedString.attributes
+    .map(attribute => attribute.attributes.paragraphStyle.maximumLineHeight);
+  assert.deepStrictEqual(lineHeightsByRun, [14 * LINE_HEIGHT_RATIO, 24 * LINE_HEIGHT_RATIO]);
+  assert.strictEqual(layer.frame.height, height);
+});
+
+run();